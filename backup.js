@@ -1,12 +1,23 @@
-const { MongoClient } = require('mongodb');
+const { MongoClient, BSON, Timestamp } = require('mongodb');
 const cron = require('node-cron');
-const { exec } = require('child_process');
+const { CronExpressionParser } = require('cron-parser');
+const { execFile, spawn, spawnSync } = require('child_process');
 const winston = require('winston');
 const fs = require('fs');
+const os = require('os');
 const path = require('path');
+const net = require('net');
+const crypto = require('crypto');
+const zlib = require('zlib');
+const { pipeline } = require('stream/promises');
+const { Readable } = require('stream');
+const readline = require('readline');
+const EventEmitter = require('events');
 const express = require('express');
 const sqlite3 = require('sqlite3').verbose();
 const moment = require('moment-timezone');
+const YAML = require('yaml');
+const { isDeepStrictEqual } = require('util');
 
 // Configure logging
 const logger = winston.createLogger({
@@ -18,53 +29,666 @@ const logger = winston.createLogger({
     })
   ),
   transports: [
-    new winston.transports.Console(),
+    // The CLI prints its results on stdout, so its log lines go to stderr
+    new winston.transports.Console(require.main === module ? {} : { stderrLevels: Object.keys(winston.config.npm.levels) }),
     new winston.transports.File({ filename: '/backups/backup.log' })
   ]
 });
 
-// Environment variables
-const MONGO_CONNECTION_STRING = process.env.MONGO_CONNECTION_STRING;
-const DAILY_BACKUP_INTERVAL_MINUTES = parseInt(process.env.DAILY_BACKUP_INTERVAL_MINUTES) || 60;
-const MAX_DAILY_BACKUPS = parseInt(process.env.MAX_DAILY_BACKUPS) || -1;
-const NUMBER_OF_WEEKLY_BACKUPS = parseInt(process.env.NUMBER_OF_WEEKLY_BACKUPS) || 7;
-const MAX_AGE_OF_WEEKLY_BACKUPS = parseInt(process.env.MAX_AGE_OF_WEEKLY_BACKUPS) || 4;
-const NUMBER_OF_MONTHLY_BACKUPS = parseInt(process.env.NUMBER_OF_MONTHLY_BACKUPS) || 12;
-const MAX_AGE_OF_MONTHLY_BACKUPS = parseInt(process.env.MAX_AGE_OF_MONTHLY_BACKUPS) || 12;
-const NUMBER_OF_YEARLY_BACKUPS = parseInt(process.env.NUMBER_OF_YEARLY_BACKUPS) || 5;
-const MAX_AGE_OF_YEARLY_BACKUPS = parseInt(process.env.MAX_AGE_OF_YEARLY_BACKUPS) || 5;
-const BACKUP_PATH = process.env.BACKUP_PATH || '/backups';
-const WEB_UI_PORT = parseInt(process.env.WEB_UI_PORT) || 3000;
-const TIMEZONE = process.env.TIMEZONE || 'UTC';
+const BACKUP_TYPES = ['daily', 'weekly', 'monthly', 'yearly'];
+const DEFAULT_TARGET_NAME = 'default';
+const RETENTION_RULES = ['keepLast', 'hourly', 'daily', 'weekly', 'monthly', 'yearly'];
+// Each period rule keeps one backup per period, preferring backups taken by
+// the schedule of that period or a longer one
+const RETENTION_PERIODS = {
+  hourly: { unit: 'hour', preferredType: 'daily' },
+  daily: { unit: 'day', preferredType: 'daily' },
+  weekly: { unit: 'week', preferredType: 'weekly' },
+  monthly: { unit: 'month', preferredType: 'monthly' },
+  yearly: { unit: 'year', preferredType: 'yearly' }
+};
+const BACKUP_FORMATS = ['directory', 'gzip', 'zstd'];
+const ARCHIVE_FILE_NAMES = { gzip: 'dump.archive.gz', zstd: 'dump.archive.zst' };
+const MONGODUMP_ARCHIVE_MAGIC = 0x8199e26d;
+const OPLOG_DIR_NAME = 'oplog';
+const OPLOG_RETRY_SECONDS = 30;
+const ENCRYPTION_MAGIC = Buffer.from('MGOBKENC');
+const ENCRYPTION_KEY_LENGTH = 32;
+const ENCRYPTED_FILE_SUFFIX = '.enc';
+const MANIFEST_FILE_NAME = 'SHA256SUMS';
+const NOTIFICATION_EVENTS = ['failure', 'recovery', 'stale', 'oplog', 'drill'];
+const HOOK_EVENTS = { preBackup: 'pre-backup', postSuccess: 'post-success', postFailure: 'post-failure' };
+const HOOK_OUTPUT_LIMIT = 64 * 1024;
+const BACKUP_EVENT_NAMES = ['backup-started', 'progress', 'log', 'backup-finished'];
+const LOG_TAIL_LINES = 100;
+const LOCK_FILE_NAME = 'backup.lock';
+const LOCK_POLL_SECONDS = 5;
+const LOCK_HEARTBEAT_SECONDS = 15;
+const LOCK_STALE_SECONDS = 120;
+const LOW_DISK_SPACE_ACTIONS = ['refuse', 'prune', 'ignore'];
+const DEFAULT_RETENTION_HOURLY = 24;
+const SIZE_ESTIMATE_SAMPLES = 5;
+const STORAGE_TREND_DAYS = 30;
+const RECONCILE_MODES = ['off', 'report', 'repair'];
+const FOLDER_NAME_PATTERN = /^(\d{8}_\d{6})_(.+)$/;
+const MAX_LABEL_LENGTH = 100;
+const MAX_NOTES_LENGTH = 2000;
+const DRILL_SELECTIONS = ['latest', 'random'];
+const STARTUP_CONNECTION_MODES = ['exit', 'retry'];
+const DUMP_KILL_GRACE_SECONDS = 10;
+// Classification of mongodump failures by their output. Permanent patterns
+// are checked first, and anything that matches neither list is not retried.
+const PERMANENT_DUMP_ERRORS = [
+  { pattern: /authentication failed|unauthorized|not authorized|auth error/i, reason: 'authentication' },
+  { pattern: /no space left|ENOSPC|disk quota/i, reason: 'disk full' },
+  { pattern: /error parsing|unknown option|unrecognized|invalid (option|uri|connection string)/i, reason: 'invalid arguments' },
+  { pattern: /spawn mongodump ENOENT|executable file not found/i, reason: 'mongodump not installed' },
+  // A dump that hung once would hold the queue and the lock for another timeout on every retry
+  { pattern: /mongodump timed out after \d+ minutes and was killed/, reason: 'hard timeout' }
+];
+const TRANSIENT_DUMP_ERRORS = [
+  { pattern: /NotWritablePrimary|NotPrimaryNoSecondaryOk|NotPrimaryOrSecondary|PrimarySteppedDown|InterruptedDueToReplStateChange/, reason: 'replica set election' },
+  { pattern: /server selection (error|timeout)|no reachable servers|connection refused|HostUnreachable|HostNotFound/i, reason: 'server unreachable' },
+  { pattern: /connection reset by peer|broken pipe|incomplete read of message header|SocketException/i, reason: 'connection lost' },
+  { pattern: /NetworkTimeout|NetworkInterfaceExceededTimeLimit|ExceededTimeLimit|MaxTimeMSExpired|i\/o timeout|context deadline exceeded/, reason: 'timeout' },
+  { pattern: /CursorNotFound|ShutdownInProgress|InterruptedAtShutdown/, reason: 'interrupted on the server' }
+];
+const WEEKDAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const MAX_TIMER_DELAY_MS = 2 ** 31 - 1;
+const USER_ROLES = ['viewer', 'operator', 'admin'];
+const SESSION_COOKIE_NAME = 'mongo_backup_session';
+const CSRF_COOKIE_NAME = 'mongo_backup_csrf';
+
+// Settings are read from CONFIG_FILE (YAML or JSON) and can be overridden by
+// environment variables. Settings marked reload are applied again on SIGHUP or
+// when the file changes; the others need a restart.
+const CONFIG_FILE = process.env.CONFIG_FILE;
+const SETTING_DEFINITIONS = [
+  { name: 'mongoConnectionString', env: 'MONGO_CONNECTION_STRING', type: 'string', reload: true },
+  { name: 'backupTargets', env: 'BACKUP_TARGETS', type: 'json', reload: true },
+  { name: 'backupTargetsFile', env: 'BACKUP_TARGETS_FILE', type: 'string', reload: true },
+  { name: 'dailyBackupIntervalMinutes', env: 'DAILY_BACKUP_INTERVAL_MINUTES', type: 'integer', min: 1, default: 60, reload: true },
+  { name: 'dailyBackupCron', env: 'DAILY_BACKUP_CRON', type: 'schedule', reload: true },
+  { name: 'weeklyBackupCron', env: 'WEEKLY_BACKUP_CRON', type: 'schedule', reload: true },
+  { name: 'monthlyBackupCron', env: 'MONTHLY_BACKUP_CRON', type: 'schedule', reload: true },
+  { name: 'yearlyBackupCron', env: 'YEARLY_BACKUP_CRON', type: 'schedule', reload: true },
+  { name: 'backupBlackoutWindows', env: 'BACKUP_BLACKOUT_WINDOWS', type: 'list', separator: ';', default: [], reload: true,
+    validate: value => {
+      try {
+        value.forEach(parseBlackoutWindow);
+        return null;
+      } catch (error) {
+        return `is invalid: ${error.message}`;
+      }
+    } },
+  { name: 'backupJitterSeconds', env: 'BACKUP_JITTER_SECONDS', type: 'integer', min: 0, default: 0, reload: true },
+  { name: 'preBackupHook', env: 'PRE_BACKUP_HOOK', type: 'hook', reload: true },
+  { name: 'postSuccessHook', env: 'POST_SUCCESS_HOOK', type: 'hook', reload: true },
+  { name: 'postFailureHook', env: 'POST_FAILURE_HOOK', type: 'hook', reload: true },
+  { name: 'hookTimeoutSeconds', env: 'HOOK_TIMEOUT_SECONDS', type: 'integer', min: 1, default: 300, reload: true },
+  { name: 'backupRetries', env: 'BACKUP_RETRIES', type: 'integer', min: 0, default: 2, reload: true },
+  { name: 'retryDelaySeconds', env: 'RETRY_DELAY_SECONDS', type: 'integer', min: 1, default: 30, reload: true },
+  { name: 'retryMaxDelaySeconds', env: 'RETRY_MAX_DELAY_SECONDS', type: 'integer', min: 1, default: 600, reload: true },
+  { name: 'mongodumpTimeoutMinutes', env: 'MONGODUMP_TIMEOUT_MINUTES', type: 'integer', min: 0, default: 0, reload: true },
+  { name: 'startupConnectionMode', env: 'STARTUP_CONNECTION_MODE', type: 'enum', values: STARTUP_CONNECTION_MODES, default: 'exit', reload: true },
+  { name: 'maxDailyBackups', env: 'MAX_DAILY_BACKUPS', type: 'integer', min: -1, default: -1, reload: true,
+    validate: value => value === 0 ? 'cannot be 0. Use -1 for unlimited or a positive number.' : null },
+  { name: 'numberOfWeeklyBackups', env: 'NUMBER_OF_WEEKLY_BACKUPS', type: 'integer', min: 0, default: 7, reload: true },
+  { name: 'maxAgeOfWeeklyBackups', env: 'MAX_AGE_OF_WEEKLY_BACKUPS', type: 'integer', min: 0, default: 4, reload: true },
+  { name: 'numberOfMonthlyBackups', env: 'NUMBER_OF_MONTHLY_BACKUPS', type: 'integer', min: 0, default: 12, reload: true },
+  { name: 'maxAgeOfMonthlyBackups', env: 'MAX_AGE_OF_MONTHLY_BACKUPS', type: 'integer', min: 0, default: 12, reload: true },
+  { name: 'numberOfYearlyBackups', env: 'NUMBER_OF_YEARLY_BACKUPS', type: 'integer', min: 0, default: 5, reload: true },
+  { name: 'maxAgeOfYearlyBackups', env: 'MAX_AGE_OF_YEARLY_BACKUPS', type: 'integer', min: 0, default: 5, reload: true },
+  { name: 'retentionKeepLast', env: 'RETENTION_KEEP_LAST', type: 'integer', min: -1, default: 0, reload: true },
+  { name: 'retentionHourly', env: 'RETENTION_HOURLY', type: 'integer', min: -1, reload: true },
+  { name: 'retentionDaily', env: 'RETENTION_DAILY', type: 'integer', min: -1, default: 7, reload: true },
+  { name: 'retentionWeekly', env: 'RETENTION_WEEKLY', type: 'integer', min: -1, reload: true },
+  { name: 'retentionMonthly', env: 'RETENTION_MONTHLY', type: 'integer', min: -1, reload: true },
+  { name: 'retentionYearly', env: 'RETENTION_YEARLY', type: 'integer', min: -1, reload: true },
+  { name: 'backupFormat', env: 'BACKUP_FORMAT', type: 'enum', values: BACKUP_FORMATS, default: 'directory', reload: true },
+  { name: 'backupIncludeCollections', env: 'BACKUP_INCLUDE_COLLECTIONS', type: 'list', default: [], reload: true },
+  { name: 'backupExcludeCollections', env: 'BACKUP_EXCLUDE_COLLECTIONS', type: 'list', default: [], reload: true },
+  { name: 'backupCollectionQueries', env: 'BACKUP_COLLECTION_QUERIES', type: 'json', default: {}, reload: true },
+  { name: 'minFreeDiskMb', env: 'MIN_FREE_DISK_MB', type: 'integer', min: 0, default: 512, reload: true },
+  { name: 'diskSpaceMarginPercent', env: 'DISK_SPACE_MARGIN_PERCENT', type: 'integer', min: 0, default: 20, reload: true },
+  { name: 'lowDiskSpaceAction', env: 'LOW_DISK_SPACE_ACTION', type: 'enum', values: LOW_DISK_SPACE_ACTIONS, default: 'refuse', reload: true },
+  { name: 'storageBackends', env: 'STORAGE_BACKENDS', type: 'json', reload: true },
+  { name: 'storageBackendsFile', env: 'STORAGE_BACKENDS_FILE', type: 'string', reload: true },
+  { name: 'verificationCron', env: 'VERIFICATION_CRON', type: 'cron', default: '0 3 * * *', reload: true },
+  { name: 'notificationChannels', env: 'NOTIFICATION_CHANNELS', type: 'json', reload: true },
+  { name: 'notificationChannelsFile', env: 'NOTIFICATION_CHANNELS_FILE', type: 'string', reload: true },
+  { name: 'notifyNoSuccessHours', env: 'NOTIFY_NO_SUCCESS_HOURS', type: 'integer', min: 0, default: 0, reload: true },
+  { name: 'notificationRateLimitMinutes', env: 'NOTIFICATION_RATE_LIMIT_MINUTES', type: 'integer', min: 0, default: 60, reload: true },
+  { name: 'restoreDrillCron', env: 'RESTORE_DRILL_CRON', type: 'cron', default: 'off', reload: true },
+  { name: 'restoreDrillConnectionString', env: 'RESTORE_DRILL_CONNECTION_STRING', type: 'string', reload: true },
+  { name: 'restoreDrillSelection', env: 'RESTORE_DRILL_SELECTION', type: 'enum', values: DRILL_SELECTIONS, default: 'latest', reload: true },
+  { name: 'restoreDrillQueries', env: 'RESTORE_DRILL_QUERIES', type: 'json', default: [], reload: true,
+    validate: value => validateDrillQueries(value) },
+  { name: 'reconcileOnStartup', env: 'RECONCILE_ON_STARTUP', type: 'enum', values: RECONCILE_MODES, default: 'report' },
+  { name: 'backupPath', env: 'BACKUP_PATH', type: 'string', default: '/backups' },
+  { name: 'webUiPort', env: 'WEB_UI_PORT', type: 'integer', min: 1, default: 3000 },
+  { name: 'timezone', env: 'TIMEZONE', type: 'string', default: 'UTC',
+    validate: value => moment.tz.zone(value) ? null : 'is not a known time zone' },
+  { name: 'oplogCapture', env: 'OPLOG_CAPTURE', type: 'boolean', default: false },
+  { name: 'oplogSegmentMinutes', env: 'OPLOG_SEGMENT_MINUTES', type: 'integer', min: 1, default: 60 },
+  { name: 'oplogLagAlertSeconds', env: 'OPLOG_LAG_ALERT_SECONDS', type: 'integer', min: 1, default: 300 },
+  { name: 'encryptionPassphrase', env: 'ENCRYPTION_PASSPHRASE', type: 'string' },
+  { name: 'encryptionKeyFile', env: 'ENCRYPTION_KEY_FILE', type: 'string' },
+  { name: 'encryptionKeyId', env: 'ENCRYPTION_KEY_ID', type: 'string', default: 'default' },
+  { name: 'encryptionKeyringDir', env: 'ENCRYPTION_KEYRING_DIR', type: 'string' },
+  { name: 'authMode', env: 'AUTH_MODE', type: 'enum', values: ['none', 'local', 'proxy'], default: 'none' },
+  { name: 'authAdminUsername', env: 'AUTH_ADMIN_USERNAME', type: 'string', default: 'admin' },
+  { name: 'authAdminPassword', env: 'AUTH_ADMIN_PASSWORD', type: 'string' },
+  { name: 'authSessionHours', env: 'AUTH_SESSION_HOURS', type: 'integer', min: 1, default: 12 },
+  { name: 'authCookieSecure', env: 'AUTH_COOKIE_SECURE', type: 'boolean', default: false },
+  { name: 'authProxyUserHeader', env: 'AUTH_PROXY_USER_HEADER', type: 'string', default: 'X-Forwarded-User' },
+  { name: 'authProxyRoleHeader', env: 'AUTH_PROXY_ROLE_HEADER', type: 'string', default: 'X-Forwarded-Role' },
+  { name: 'authProxyDefaultRole', env: 'AUTH_PROXY_DEFAULT_ROLE', type: 'enum', values: USER_ROLES, default: 'viewer' },
+  { name: 'authProxySecret', env: 'AUTH_PROXY_SECRET', type: 'string' },
+  { name: 'authProxySecretHeader', env: 'AUTH_PROXY_SECRET_HEADER', type: 'string', default: 'X-Proxy-Secret' },
+  { name: 'authProxyTrustedIps', env: 'AUTH_PROXY_TRUSTED_IPS', type: 'list', default: [],
+    validate: value => {
+      const invalid = value.find(entry => !parseAddressRange(entry));
+      return invalid ? `"${invalid}" is not an IP address or CIDR range` : null;
+    } }
+];
+
+/**
+ * Convert an environment variable to the type of its setting
+ */
+function parseSettingValue(definition, raw) {
+  switch (definition.type) {
+    case 'integer':
+      if (!/^-?\d+$/.test(raw.trim())) {
+        throw new Error(`${definition.env} must be a whole number, got "${raw}"`);
+      }
+      return parseInt(raw, 10);
+    case 'boolean':
+      if (!['true', 'false'].includes(raw.trim().toLowerCase())) {
+        throw new Error(`${definition.env} must be true or false, got "${raw}"`);
+      }
+      return raw.trim().toLowerCase() === 'true';
+    case 'json':
+      try {
+        return JSON.parse(raw);
+      } catch (error) {
+        throw new Error(`${definition.env} is not valid JSON: ${error.message}`);
+      }
+    case 'list':
+      return raw.split(definition.separator || ',').map(item => item.trim()).filter(Boolean);
+    default:
+      return raw;
+  }
+}
+
+/**
+ * Check a setting value against its definition. Returns an error message or null.
+ */
+function checkSettingValue(definition, value) {
+  if (value === null) {
+    return null;
+  }
+  
+  switch (definition.type) {
+    case 'integer':
+      if (!Number.isInteger(value) || value < definition.min) {
+        return `must be a whole number of at least ${definition.min}`;
+      }
+      break;
+    case 'boolean':
+      if (typeof value !== 'boolean') {
+        return 'must be true or false';
+      }
+      break;
+    case 'enum':
+      if (!definition.values.includes(value)) {
+        return `must be one of ${definition.values.join(', ')}`;
+      }
+      break;
+    case 'cron':
+      if (typeof value !== 'string' || (value !== 'off' && !cron.validate(value))) {
+        return 'must be a cron expression or "off"';
+      }
+      break;
+    case 'schedule':
+      if (typeof value !== 'string' || (value !== 'off' && !isValidSchedule(value))) {
+        return 'must be a cron expression or "off"';
+      }
+      break;
+    case 'list':
+      if (!Array.isArray(value) || value.some(item => typeof item !== 'string' || !item)) {
+        return 'must be a list of names';
+      }
+      break;
+    case 'json':
+      if (typeof value !== 'object') {
+        return 'must be a list or a mapping';
+      }
+      break;
+    case 'hook':
+      try {
+        normalizeHooks(value, 1);
+      } catch (error) {
+        return `is invalid: ${error.message}`;
+      }
+      break;
+    default:
+      if (typeof value !== 'string') {
+        return 'must be a string';
+      }
+  }
+  
+  return definition.validate ? definition.validate(value) : null;
+}
+
+/**
+ * Read CONFIG_FILE and apply environment overrides and defaults. Returns the
+ * effective values and where each one came from.
+ */
+function loadSettings() {
+  let fileSettings = {};
+  
+  if (CONFIG_FILE) {
+    try {
+      fileSettings = YAML.parse(fs.readFileSync(CONFIG_FILE, 'utf8')) || {};
+    } catch (error) {
+      throw new Error(`Cannot read ${CONFIG_FILE}: ${error.message}`);
+    }
+    
+    if (typeof fileSettings !== 'object' || Array.isArray(fileSettings)) {
+      throw new Error(`${CONFIG_FILE} must contain a mapping of settings`);
+    }
+    
+    Object.keys(fileSettings).forEach(name => {
+      if (!SETTING_DEFINITIONS.some(definition => definition.name === name)) {
+        throw new Error(`Unknown setting "${name}" in ${CONFIG_FILE}`);
+      }
+    });
+  }
+  
+  const values = {};
+  const sources = {};
+  
+  SETTING_DEFINITIONS.forEach(definition => {
+    const raw = process.env[definition.env];
+    
+    if (raw !== undefined && raw !== '') {
+      values[definition.name] = parseSettingValue(definition, raw);
+      sources[definition.name] = 'env';
+    } else if (fileSettings[definition.name] !== undefined && fileSettings[definition.name] !== null) {
+      values[definition.name] = fileSettings[definition.name];
+      sources[definition.name] = 'file';
+    } else {
+      values[definition.name] = definition.default ?? null;
+      sources[definition.name] = 'default';
+    }
+    
+    const error = checkSettingValue(definition, values[definition.name]);
+    if (error) {
+      throw new Error(`${sources[definition.name] === 'file' ? `${definition.name} in ${CONFIG_FILE}` : definition.env} ${error}`);
+    }
+  });
+  
+  return { values, sources };
+}
+
+let settings;
+let settingSources;
+try {
+  ({ values: settings, sources: settingSources } = loadSettings());
+} catch (error) {
+  logger.error(`Invalid configuration: ${error.message}`);
+  process.exit(1);
+}
+
+// Settings that only take effect on startup
+const BACKUP_PATH = settings.backupPath;
+const TEMP_PATH = path.join(BACKUP_PATH, '.tmp');
+const WEB_UI_PORT = settings.webUiPort;
+const TIMEZONE = settings.timezone;
+const OPLOG_SEGMENT_MINUTES = settings.oplogSegmentMinutes;
+const OPLOG_LAG_ALERT_SECONDS = settings.oplogLagAlertSeconds;
+const ENCRYPTION_PASSPHRASE = settings.encryptionPassphrase;
+const ENCRYPTION_KEY_FILE = settings.encryptionKeyFile;
+const ENCRYPTION_KEY_ID = settings.encryptionKeyId;
+const ENCRYPTION_KEYRING_DIR = settings.encryptionKeyringDir;
+const AUTH_MODE = settings.authMode;
+const AUTH_ADMIN_USERNAME = settings.authAdminUsername;
+const AUTH_ADMIN_PASSWORD = settings.authAdminPassword;
+const AUTH_SESSION_HOURS = settings.authSessionHours;
+const AUTH_COOKIE_SECURE = settings.authCookieSecure;
+const AUTH_PROXY_USER_HEADER = settings.authProxyUserHeader;
+const AUTH_PROXY_ROLE_HEADER = settings.authProxyRoleHeader;
+const AUTH_PROXY_DEFAULT_ROLE = settings.authProxyDefaultRole;
+const AUTH_PROXY_SECRET = settings.authProxySecret;
+const AUTH_PROXY_SECRET_HEADER = settings.authProxySecretHeader;
+
+// Addresses the proxy connects from, or null to accept any address
+const trustedProxyAddresses = settings.authProxyTrustedIps.length > 0 ? new net.BlockList() : null;
+settings.authProxyTrustedIps.map(parseAddressRange).forEach(range => {
+  trustedProxyAddresses.addSubnet(range.address, range.prefix, range.type);
+});
 
 // Global backup state
 let isBackupRunning = false;
 let currentBackupInfo = null;
+let currentBackupProcess = null;
+let currentBackupLogs = [];
+const backupQueue = [];
+
+// The lock file that serializes backups between the service, the CLI and
+// other instances on the same volume, while this process holds it
+let heldBackupLock = null;
+
+// Progress, log lines and completion of backups, streamed to the dashboard
+const backupEvents = new EventEmitter();
+backupEvents.setMaxListeners(0);
+
+// Global restore state
+let isRestoreRunning = false;
+let currentRestoreInfo = null;
+
+// Global verification state
+let isVerificationRunning = false;
+
+// Global reconciliation state
+let isReconciliationRunning = false;
+let lastReconciliation = null;
+
+// Global notification state
+const serviceStartedAt = new Date();
+const notificationRateLimits = new Map();
+const staleTargets = new Set();
+
+// Global oplog capture state, per target
+const oplogCaptureStates = new Map();
+let oplogLagJob = null;
+
+// Global scheduler state. Jobs are rebuilt when the configuration is reloaded.
+const scheduledJobs = [];
+let configurationReload = Promise.resolve();
+
+// Targets whose backups are scheduled, and the pending retry of the ones that
+// could not be reached (STARTUP_CONNECTION_MODE=retry)
+let activeTargets = [];
+let connectionRetryTimer = null;
+
+/**
+ * Build the list of backup targets from BACKUP_TARGETS_FILE or BACKUP_TARGETS.
+ * Without either, MONGO_CONNECTION_STRING becomes the single "default" target.
+ * Settings a target leaves out fall back to the global settings.
+ */
+function loadBackupTargets(config) {
+  let definitions;
+  
+  if (config.backupTargetsFile) {
+    definitions = JSON.parse(fs.readFileSync(config.backupTargetsFile, 'utf8'));
+  } else if (config.backupTargets) {
+    definitions = config.backupTargets;
+  } else if (config.mongoConnectionString) {
+    definitions = [{ name: DEFAULT_TARGET_NAME, connectionString: config.mongoConnectionString }];
+  } else {
+    throw new Error('MONGO_CONNECTION_STRING is required when no backup targets are configured');
+  }
+  
+  if (!Array.isArray(definitions) || definitions.length === 0) {
+    throw new Error('Backup targets must be a non-empty JSON array');
+  }
+  
+  const names = new Set();
+  
+  const targets = definitions.map(definition => {
+    const target = {
+      name: definition.name,
+      connectionString: definition.connectionString,
+      dailyBackupIntervalMinutes: definition.dailyBackupIntervalMinutes ?? config.dailyBackupIntervalMinutes,
+      maxDailyBackups: definition.maxDailyBackups ?? config.maxDailyBackups,
+      numberOfWeeklyBackups: definition.numberOfWeeklyBackups ?? config.numberOfWeeklyBackups,
+      maxAgeOfWeeklyBackups: definition.maxAgeOfWeeklyBackups ?? config.maxAgeOfWeeklyBackups,
+      numberOfMonthlyBackups: definition.numberOfMonthlyBackups ?? config.numberOfMonthlyBackups,
+      maxAgeOfMonthlyBackups: definition.maxAgeOfMonthlyBackups ?? config.maxAgeOfMonthlyBackups,
+      numberOfYearlyBackups: definition.numberOfYearlyBackups ?? config.numberOfYearlyBackups,
+      maxAgeOfYearlyBackups: definition.maxAgeOfYearlyBackups ?? config.maxAgeOfYearlyBackups,
+      format: definition.format ?? config.backupFormat,
+      oplogCapture: definition.oplogCapture ?? config.oplogCapture,
+      includeCollections: definition.includeCollections ?? config.backupIncludeCollections,
+      excludeCollections: definition.excludeCollections ?? config.backupExcludeCollections,
+      collectionQueries: definition.collectionQueries ?? config.backupCollectionQueries,
+      blackoutWindows: definition.blackoutWindows ?? config.backupBlackoutWindows,
+      jitterSeconds: definition.jitterSeconds ?? config.backupJitterSeconds
+    };
+    
+    if (typeof target.name !== 'string' || !/^[A-Za-z0-9_-]+$/.test(target.name)) {
+      throw new Error(`Invalid backup target name "${target.name}". Use letters, numbers, "-" and "_" only.`);
+    }
+    
+    if (BACKUP_TYPES.includes(target.name) || target.name === OPLOG_DIR_NAME) {
+      throw new Error(`Backup target name "${target.name}" is reserved`);
+    }
+    
+    if (names.has(target.name)) {
+      throw new Error(`Duplicate backup target name "${target.name}"`);
+    }
+    names.add(target.name);
+    
+    if (!target.connectionString) {
+      throw new Error(`Backup target "${target.name}" needs a connectionString`);
+    }
+    
+    if (!BACKUP_FORMATS.includes(target.format)) {
+      throw new Error(`Backup target "${target.name}": format must be one of ${BACKUP_FORMATS.join(', ')}`);
+    }
+    
+    if (typeof target.oplogCapture !== 'boolean') {
+      throw new Error(`Backup target "${target.name}": oplogCapture must be true or false`);
+    }
+    
+    ['includeCollections', 'excludeCollections'].forEach(key => {
+      if (!Array.isArray(target[key]) || target[key].some(pattern => typeof pattern !== 'string' || !pattern)) {
+        throw new Error(`Backup target "${target.name}": ${key} must be an array of collection names or patterns`);
+      }
+    });
+    
+    const queries = target.collectionQueries;
+    if (!queries || typeof queries !== 'object' || Array.isArray(queries) ||
+        Object.values(queries).some(query => !query || typeof query !== 'object' || Array.isArray(query))) {
+      throw new Error(`Backup target "${target.name}": collectionQueries must map collection names or patterns to query objects`);
+    }
+    try {
+      Object.values(queries).forEach(query => resolveCollectionQuery(query, Date.now()));
+    } catch (error) {
+      throw new Error(`Backup target "${target.name}": collectionQueries: ${error.message}`);
+    }
+    
+    // mongodump only applies --query when it dumps a single collection, which needs one run per collection
+    if (Object.keys(queries).length > 0 && target.format !== 'directory') {
+      throw new Error(`Backup target "${target.name}": collectionQueries need the directory format`);
+    }
+    
+    if (hasCollectionFilters(target) && !/^mongodb(\+srv)?:\/\/[^/]+\/[^/?]+/.test(target.connectionString)) {
+      throw new Error(`Backup target "${target.name}": collection filters need a database in the connectionString`);
+    }
+    
+    const nonIntegerFields = ['name', 'connectionString', 'format', 'oplogCapture', 'includeCollections', 'excludeCollections', 'collectionQueries', 'blackoutWindows'];
+    Object.keys(target).filter(key => !nonIntegerFields.includes(key)).forEach(key => {
+      if (!Number.isInteger(target[key])) {
+        throw new Error(`Backup target "${target.name}": ${key} must be an integer`);
+      }
+    });
+    
+    if (target.maxDailyBackups === 0) {
+      throw new Error(`Backup target "${target.name}": maxDailyBackups cannot be 0. Use -1 for unlimited or a positive number.`);
+    }
+    
+    if (target.dailyBackupIntervalMinutes < 1) {
+      throw new Error(`Backup target "${target.name}": dailyBackupIntervalMinutes must be at least 1`);
+    }
+    
+    if (target.jitterSeconds < 0) {
+      throw new Error(`Backup target "${target.name}": jitterSeconds cannot be negative`);
+    }
+    
+    if (!Array.isArray(target.blackoutWindows)) {
+      throw new Error(`Backup target "${target.name}": blackoutWindows must be an array`);
+    }
+    try {
+      target.blackoutWindows.forEach(parseBlackoutWindow);
+    } catch (error) {
+      throw new Error(`Backup target "${target.name}": blackoutWindows: ${error.message}`);
+    }
+    
+    // A target's own interval or count is more specific than a global cron expression
+    if (definition.schedules !== undefined && (!definition.schedules || typeof definition.schedules !== 'object' || Array.isArray(definition.schedules))) {
+      throw new Error(`Backup target "${target.name}": schedules must be an object`);
+    }
+    try {
+      target.schedules = {
+        daily: (definition.dailyBackupIntervalMinutes === undefined && config.dailyBackupCron) || intervalToCron(target.dailyBackupIntervalMinutes),
+        weekly: (definition.numberOfWeeklyBackups === undefined && config.weeklyBackupCron) || weeklyBackupsToCron(target.numberOfWeeklyBackups),
+        monthly: (definition.numberOfMonthlyBackups === undefined && config.monthlyBackupCron) || (target.numberOfMonthlyBackups > 0 ? '0 0 1 * *' : 'off'),
+        yearly: (definition.numberOfYearlyBackups === undefined && config.yearlyBackupCron) || (target.numberOfYearlyBackups > 0 ? '0 0 1 1 *' : 'off'),
+        ...definition.schedules
+      };
+      
+      Object.entries(target.schedules).forEach(([type, expression]) => {
+        if (!BACKUP_TYPES.includes(type)) {
+          throw new Error(`unknown schedule "${type}". Use ${BACKUP_TYPES.join(', ')}`);
+        }
+        if (typeof expression !== 'string' || (expression !== 'off' && !isValidSchedule(expression))) {
+          throw new Error(`schedules.${type} must be a cron expression or "off"`);
+        }
+        if (expression !== 'off') {
+          getNextScheduledRun(target, type, new Date());
+        }
+      });
+    } catch (error) {
+      throw new Error(`Backup target "${target.name}": ${error.message}`);
+    }
+    
+    if (definition.hooks !== undefined && (!definition.hooks || typeof definition.hooks !== 'object' || Array.isArray(definition.hooks))) {
+      throw new Error(`Backup target "${target.name}": hooks must be an object`);
+    }
+    const hooks = {
+      preBackup: config.preBackupHook,
+      postSuccess: config.postSuccessHook,
+      postFailure: config.postFailureHook,
+      ...definition.hooks
+    };
+    try {
+      target.hooks = Object.fromEntries(Object.entries(hooks).map(([phase, value]) => {
+        if (!HOOK_EVENTS[phase]) {
+          throw new Error(`unknown hook "${phase}". Use ${Object.keys(HOOK_EVENTS).join(', ')}`);
+        }
+        return [phase, normalizeHooks(value, config.hookTimeoutSeconds)];
+      }));
+    } catch (error) {
+      throw new Error(`Backup target "${target.name}": hooks: ${error.message}`);
+    }
+    
+    // Without explicit rules the older age limits become period counts. A
+    // MAX_DAILY_BACKUPS of -1 meant no cap within a day, not keeping every hour
+    // forever, so it falls back to a day of hourly backups.
+    if (definition.retention !== undefined && (!definition.retention || typeof definition.retention !== 'object' || Array.isArray(definition.retention))) {
+      throw new Error(`Backup target "${target.name}": retention must be an object`);
+    }
+    target.retention = {
+      keepLast: config.retentionKeepLast,
+      hourly: config.retentionHourly ?? (target.maxDailyBackups === -1 ? DEFAULT_RETENTION_HOURLY : target.maxDailyBackups),
+      daily: config.retentionDaily,
+      weekly: config.retentionWeekly ?? target.maxAgeOfWeeklyBackups,
+      monthly: config.retentionMonthly ?? target.maxAgeOfMonthlyBackups,
+      yearly: config.retentionYearly ?? target.maxAgeOfYearlyBackups,
+      ...definition.retention
+    };
+    try {
+      validateRetentionPolicy(target.retention);
+    } catch (error) {
+      throw new Error(`Backup target "${target.name}": ${error.message}`);
+    }
+    
+    target.databaseName = extractDatabaseName(target.connectionString);
+    return target;
+  });
+  
+  // zstd archives are compressed by the zstd command line tool
+  if (targets.some(target => target.format === 'zstd') && spawnSync('zstd', ['--version']).status !== 0) {
+    throw new Error('The zstd backup format needs the zstd command line tool installed');
+  }
+  
+  return targets;
+}
+
+let backupTargets;
+try {
+  backupTargets = loadBackupTargets(settings);
+} catch (error) {
+  logger.error(`Invalid backup target configuration: ${error.message}`);
+  process.exit(1);
+}
 
-// Validate required environment variables
-if (!MONGO_CONNECTION_STRING) {
-  logger.error('MONGO_CONNECTION_STRING environment variable is required');
+let storageBackends;
+try {
+  storageBackends = loadStorageBackends(settings);
+} catch (error) {
+  logger.error(`Invalid storage backend configuration: ${error.message}`);
   process.exit(1);
 }
 
-if (MAX_DAILY_BACKUPS === 0) {
-  logger.error('MAX_DAILY_BACKUPS cannot be 0. Use -1 for unlimited or a positive number.');
+let encryptionKeys;
+try {
+  encryptionKeys = loadEncryptionKeys();
+} catch (error) {
+  logger.error(`Invalid encryption configuration: ${error.message}`);
   process.exit(1);
 }
 
+let notificationChannels;
+try {
+  notificationChannels = loadNotificationChannels(settings);
+} catch (error) {
+  logger.error(`Invalid notification configuration: ${error.message}`);
+  process.exit(1);
+}
+
+/**
+ * Find a configured backup target by name
+ */
+function getTarget(targetName) {
+  return backupTargets.find(target => target.name === targetName);
+}
+
+/**
+ * Get the folder that holds a target's daily/weekly/monthly/yearly folders.
+ * The default target keeps the original layout directly under BACKUP_PATH.
+ */
+function getTargetBackupPath(targetName) {
+  return targetName === DEFAULT_TARGET_NAME ? BACKUP_PATH : path.join(BACKUP_PATH, targetName);
+}
+
+/**
+ * Get the on-disk folder of a backup row
+ */
+function getBackupDir(backup) {
+  return path.join(getTargetBackupPath(backup.target), backup.type, backup.folder_name);
+}
+
 // Ensure backup directories exist
-const backupDirs = ['daily', 'weekly', 'monthly', 'yearly'];
-backupDirs.forEach(dir => {
-  const fullPath = path.join(BACKUP_PATH, dir);
-  if (!fs.existsSync(fullPath)) {
-    fs.mkdirSync(fullPath, { recursive: true });
-  }
+backupTargets.forEach(target => {
+  BACKUP_TYPES.forEach(dir => {
+    const fullPath = path.join(getTargetBackupPath(target.name), dir);
+    if (!fs.existsSync(fullPath)) {
+      fs.mkdirSync(fullPath, { recursive: true });
+    }
+  });
 });
 
 // Initialize SQLite database for backup metadata
 const dbPath = path.join(BACKUP_PATH, 'backup_metadata.db');
 const db = new sqlite3.Database(dbPath);
 
+// The service and the CLI share the database, so wait for each other's writes
+db.configure('busyTimeout', 10000);
+
 // Create backup metadata table
 db.serialize(() => {
   db.run(`CREATE TABLE IF NOT EXISTS backups (
@@ -89,6 +713,188 @@ db.serialize(() => {
       logger.warn(`Could not add backup_logs column: ${err.message}`);
     }
   });
+  
+  // Add encryption_key_id column if it doesn't exist. NULL means the backup is not encrypted.
+  db.run(`ALTER TABLE backups ADD COLUMN encryption_key_id TEXT`, (err) => {
+    if (err && !err.message.includes('duplicate column name')) {
+      logger.warn(`Could not add encryption_key_id column: ${err.message}`);
+    }
+  });
+  
+  // Add verification columns if they don't exist
+  ['verification_status TEXT', 'verification_error TEXT', 'verified_at TEXT'].forEach(column => {
+    db.run(`ALTER TABLE backups ADD COLUMN ${column}`, (err) => {
+      if (err && !err.message.includes('duplicate column name')) {
+        logger.warn(`Could not add ${column.split(' ')[0]} column: ${err.message}`);
+      }
+    });
+  });
+  
+  // Add output format and compression columns if they don't exist. A NULL format is a directory dump.
+  ['format TEXT', 'uncompressed_size_bytes INTEGER', 'compression_ratio REAL'].forEach(column => {
+    db.run(`ALTER TABLE backups ADD COLUMN ${column}`, (err) => {
+      if (err && !err.message.includes('duplicate column name')) {
+        logger.warn(`Could not add ${column.split(' ')[0]} column: ${err.message}`);
+      }
+    });
+  });
+  
+  // Add oplog position columns if they don't exist. They bound the oplog range a point-in-time restore replays.
+  ['oplog_start_ts TEXT', 'oplog_end_ts TEXT'].forEach(column => {
+    db.run(`ALTER TABLE backups ADD COLUMN ${column}`, (err) => {
+      if (err && !err.message.includes('duplicate column name')) {
+        logger.warn(`Could not add ${column.split(' ')[0]} column: ${err.message}`);
+      }
+    });
+  });
+  
+  // Add pruned_at column if it doesn't exist. Retention marks pruned backups instead of deleting their rows.
+  db.run(`ALTER TABLE backups ADD COLUMN pruned_at TEXT`, (err) => {
+    if (err && !err.message.includes('duplicate column name')) {
+      logger.warn(`Could not add pruned_at column: ${err.message}`);
+    }
+  });
+  
+  // Add collection filter column if it doesn't exist. It records what a filtered backup skipped or queried.
+  db.run(`ALTER TABLE backups ADD COLUMN collection_filters TEXT`, (err) => {
+    if (err && !err.message.includes('duplicate column name')) {
+      logger.warn(`Could not add collection_filters column: ${err.message}`);
+    }
+  });
+  
+  // Add label column for on-demand backups if it doesn't exist
+  db.run(`ALTER TABLE backups ADD COLUMN label TEXT`, (err) => {
+    if (err && !err.message.includes('duplicate column name')) {
+      logger.warn(`Could not add label column: ${err.message}`);
+    }
+  });
+  
+  // Add pin and annotation columns if they don't exist. Pinned backups are never pruned or deleted.
+  ['pinned INTEGER NOT NULL DEFAULT 0', 'notes TEXT', 'deleted_at TEXT', 'deleted_by TEXT'].forEach(column => {
+    db.run(`ALTER TABLE backups ADD COLUMN ${column}`, (err) => {
+      if (err && !err.message.includes('duplicate column name')) {
+        logger.warn(`Could not add ${column.split(' ')[0]} column: ${err.message}`);
+      }
+    });
+  });
+  
+  // Add target column if it doesn't exist. Existing rows belong to the default target.
+  db.run(`ALTER TABLE backups ADD COLUMN target TEXT NOT NULL DEFAULT '${DEFAULT_TARGET_NAME}'`, (err) => {
+    if (err && !err.message.includes('duplicate column name')) {
+      logger.warn(`Could not add target column: ${err.message}`);
+    }
+  });
+  
+  // Create table recording the remote copies of each backup
+  db.run(`CREATE TABLE IF NOT EXISTS backup_copies (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    backup_id INTEGER NOT NULL,
+    backend TEXT NOT NULL,
+    location TEXT,
+    status TEXT NOT NULL,
+    error_message TEXT,
+    created_at TEXT NOT NULL,
+    deleted_at TEXT
+  )`);
+  
+  // Create per-collection statistics table
+  db.run(`CREATE TABLE IF NOT EXISTS backup_collections (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    backup_id INTEGER NOT NULL,
+    collection_name TEXT NOT NULL,
+    documents_count INTEGER,
+    indexes_count INTEGER,
+    size_bytes INTEGER
+  )`);
+  db.run(`CREATE INDEX IF NOT EXISTS idx_backup_collections_backup_id ON backup_collections (backup_id)`);
+  
+  // Create table of restore drills, test restores of a backup into a scratch database
+  db.run(`CREATE TABLE IF NOT EXISTS restore_drills (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    backup_id INTEGER NOT NULL,
+    target TEXT NOT NULL,
+    started_at TEXT NOT NULL,
+    finished_at TEXT,
+    scratch_database TEXT NOT NULL,
+    status TEXT NOT NULL,
+    duration_seconds INTEGER,
+    checks TEXT,
+    error_message TEXT,
+    drill_logs TEXT,
+    requested_by TEXT
+  )`);
+  db.run(`CREATE INDEX IF NOT EXISTS idx_restore_drills_backup_id ON restore_drills (backup_id)`);
+  
+  // Create table of captured oplog segment files
+  db.run(`CREATE TABLE IF NOT EXISTS oplog_segments (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    target TEXT NOT NULL,
+    base_backup_id INTEGER,
+    file_name TEXT NOT NULL,
+    start_after_ts TEXT NOT NULL,
+    last_ts TEXT NOT NULL,
+    covered_until TEXT NOT NULL,
+    entries_count INTEGER NOT NULL,
+    size_bytes INTEGER NOT NULL,
+    encryption_key_id TEXT,
+    created_at TEXT NOT NULL,
+    closed_at TEXT
+  )`);
+  db.run(`CREATE INDEX IF NOT EXISTS idx_oplog_segments_target ON oplog_segments (target)`);
+  
+  // Create local user, session and audit tables
+  db.run(`CREATE TABLE IF NOT EXISTS users (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    username TEXT NOT NULL UNIQUE,
+    password_hash TEXT NOT NULL,
+    role TEXT NOT NULL,
+    created_at TEXT NOT NULL,
+    last_login_at TEXT
+  )`);
+  db.run(`CREATE TABLE IF NOT EXISTS sessions (
+    token_hash TEXT PRIMARY KEY,
+    user_id INTEGER NOT NULL,
+    csrf_token TEXT NOT NULL,
+    created_at TEXT NOT NULL,
+    expires_at TEXT NOT NULL
+  )`);
+  db.run(`CREATE TABLE IF NOT EXISTS audit_log (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    timestamp TEXT NOT NULL,
+    username TEXT,
+    role TEXT,
+    action TEXT NOT NULL,
+    method TEXT,
+    path TEXT,
+    status_code INTEGER,
+    ip TEXT,
+    details TEXT
+  )`);
+  
+  // Create restore history table
+  db.run(`CREATE TABLE IF NOT EXISTS restores (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    backup_id INTEGER NOT NULL,
+    started_at TEXT NOT NULL,
+    finished_at TEXT,
+    target_uri TEXT NOT NULL,
+    source_database TEXT NOT NULL,
+    target_database TEXT NOT NULL,
+    collections TEXT,
+    drop_existing INTEGER DEFAULT 0,
+    status TEXT NOT NULL,
+    duration_seconds INTEGER,
+    error_message TEXT,
+    restore_logs TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  )`);
+  
+  // Add point_in_time column if it doesn't exist. NULL means no oplog was replayed.
+  db.run(`ALTER TABLE restores ADD COLUMN point_in_time TEXT`, (err) => {
+    if (err && !err.message.includes('duplicate column name')) {
+      logger.warn(`Could not add point_in_time column: ${err.message}`);
+    }
+  });
 });
 
 /**
@@ -105,6 +911,65 @@ function extractDatabaseName(connectionString) {
   }
 }
 
+/**
+ * Hide credentials in a MongoDB connection string before logging or storing it
+ */
+function redactConnectionString(connectionString) {
+  return connectionString.replace(/\/\/.*@/, '//[REDACTED]@');
+}
+
+/**
+ * Copy a configuration value with credentials, tokens and webhook paths
+ * replaced, based on the keys they are stored under
+ */
+function redactSecrets(value, key = '') {
+  if (value === null || value === undefined) {
+    return value;
+  }
+  
+  if (/connectionString$/i.test(key) && typeof value === 'string') {
+    return redactConnectionString(value);
+  }
+  
+  if (/password|passphrase|secret|token|accessKeyId|headers|command|hook$/i.test(key)) {
+    return '[REDACTED]';
+  }
+  
+  if (key === 'url' && typeof value === 'string') {
+    try {
+      return `${new URL(value).origin}/[REDACTED]`;
+    } catch (error) {
+      return '[REDACTED]';
+    }
+  }
+  
+  if (Array.isArray(value)) {
+    return value.map(item => redactSecrets(item));
+  }
+  
+  if (typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([name, item]) => [name, redactSecrets(item, name)]));
+  }
+  
+  return value;
+}
+
+/**
+ * Remove the database path from a connection string so mongorestore can pick
+ * namespaces itself. The database keeps acting as the auth source.
+ */
+function buildServerConnectionString(connectionString) {
+  const url = new URL(connectionString);
+  const dbName = url.pathname.substring(1);
+  
+  if (dbName && !url.searchParams.has('authSource') && url.username) {
+    url.searchParams.set('authSource', dbName);
+  }
+  url.pathname = '/';
+  
+  return url.toString();
+}
+
 /**
  * Generate backup folder name with timestamp and database name
  */
@@ -121,45 +986,295 @@ function generateBackupFolderName(dbName) {
 }
 
 /**
- * Test MongoDB connection
+ * Test MongoDB connection of a target
  */
-async function testConnection() {
+async function testConnection(target) {
   try {
-    const client = new MongoClient(MONGO_CONNECTION_STRING);
+    const client = new MongoClient(target.connectionString);
     await client.connect();
     const admin = client.db().admin();
     await admin.ping();
     await client.close();
-    logger.info('MongoDB connection test successful');
+    logger.info(`MongoDB connection test successful for ${target.name}`);
     return true;
   } catch (error) {
-    logger.error(`MongoDB connection test failed: ${error.message}`);
+    logger.error(`MongoDB connection test failed for ${target.name}: ${error.message}`);
     return false;
   }
 }
 
 /**
- * Get backup statistics from mongodump output
+ * Count the documents in a mongodump .bson file. Every BSON document starts
+ * with its total length as int32, so only the length prefixes are read.
  */
-function parseBackupStats(stdout) {
-  const stats = {
-    collections: 0,
-    documents: 0,
-    indexes: 0
-  };
+async function countBsonDocuments(filePath) {
+  let count = 0;
+  let bytesToSkip = 0;
+  let lengthPrefix = Buffer.alloc(0);
   
-  try {
-    const lines = stdout.split('\n');
-    lines.forEach(line => {
-      if (line.includes('done dumping')) {
-        stats.collections++;
+  for await (const chunk of fs.createReadStream(filePath)) {
+    let position = 0;
+    
+    while (position < chunk.length) {
+      if (bytesToSkip > 0) {
+        const step = Math.min(bytesToSkip, chunk.length - position);
+        bytesToSkip -= step;
+        position += step;
+        continue;
       }
-    });
-  } catch (error) {
-    logger.warn('Could not parse backup statistics');
+      
+      // The length prefix may be split across two chunks
+      const needed = 4 - lengthPrefix.length;
+      lengthPrefix = Buffer.concat([lengthPrefix, chunk.subarray(position, position + needed)]);
+      position += Math.min(needed, chunk.length - position);
+      
+      if (lengthPrefix.length === 4) {
+        const documentLength = lengthPrefix.readInt32LE(0);
+        if (documentLength < 5) {
+          throw new Error(`Invalid BSON document length ${documentLength}`);
+        }
+        count++;
+        bytesToSkip = documentLength - 4;
+        lengthPrefix = Buffer.alloc(0);
+      }
+    }
+  }
+  
+  if (bytesToSkip > 0 || lengthPrefix.length > 0) {
+    throw new Error('File ends in the middle of a BSON document');
+  }
+  
+  return count;
+}
+
+/**
+ * Collect document count, index count and on-disk size of every collection
+ * in a plaintext dump directory
+ */
+async function collectCollectionStats(dbDir, backupLogger) {
+  const collections = [];
+  
+  if (!fs.existsSync(dbDir)) {
+    return collections;
+  }
+  
+  const files = fs.readdirSync(dbDir).filter(file => file.endsWith('.bson')).sort();
+  
+  for (const file of files) {
+    const name = file.slice(0, -'.bson'.length);
+    const stats = {
+      name,
+      documents: null,
+      indexes: null,
+      size: fs.statSync(path.join(dbDir, file)).size
+    };
+    
+    try {
+      stats.documents = await countBsonDocuments(path.join(dbDir, file));
+    } catch (error) {
+      backupLogger.warn(`Could not count documents of ${name}: ${error.message}`);
+    }
+    
+    const metadataPath = path.join(dbDir, `${name}.metadata.json`);
+    if (fs.existsSync(metadataPath)) {
+      try {
+        const metadata = JSON.parse(fs.readFileSync(metadataPath, 'utf8'));
+        stats.indexes = Array.isArray(metadata.indexes) ? metadata.indexes.length : 0;
+      } catch (error) {
+        backupLogger.warn(`Could not read index metadata of ${name}: ${error.message}`);
+      }
+    }
+    
+    collections.push(stats);
+  }
+  
+  return collections;
+}
+
+/**
+ * Open a mongodump archive for reading, decompressing gzip in process and
+ * zstd through the zstd command line tool
+ */
+function openArchiveStream(filePath, format) {
+  if (format === 'gzip') {
+    const gunzip = zlib.createGunzip();
+    const source = fs.createReadStream(filePath);
+    source.on('error', error => gunzip.destroy(error));
+    return source.pipe(gunzip);
+  }
+  
+  const child = spawn('zstd', ['-d', '-c', '-q', filePath], { stdio: ['ignore', 'pipe', 'pipe'] });
+  let stderr = '';
+  child.stderr.on('data', data => { stderr += data; });
+  child.on('error', error => child.stdout.destroy(error));
+  child.on('close', code => {
+    if (code) {
+      child.stdout.destroy(new Error(`zstd exited with code ${code}: ${stderr.trim()}`));
+    }
+  });
+  // Stop decompressing when the reader gives up early
+  child.stdout.on('close', () => child.kill());
+  return child.stdout;
+}
+
+/**
+ * Wrap a readable stream so exact byte counts can be read or skipped
+ */
+function createStreamReader(stream) {
+  const iterator = stream[Symbol.asyncIterator]();
+  let buffered = Buffer.alloc(0);
+  
+  const fill = async () => {
+    const { value, done } = await iterator.next();
+    if (done) {
+      return false;
+    }
+    buffered = buffered.length > 0 ? Buffer.concat([buffered, value]) : value;
+    reader.totalBytes += value.length;
+    return true;
+  };
+  
+  const reader = {
+    totalBytes: 0,
+    // Resolves null at a clean end of stream
+    async read(length) {
+      while (buffered.length < length) {
+        if (!(await fill())) {
+          if (buffered.length === 0) {
+            return null;
+          }
+          throw new Error('Archive ends in the middle of a record');
+        }
+      }
+      const data = buffered.subarray(0, length);
+      buffered = buffered.subarray(length);
+      return data;
+    },
+    async skip(length) {
+      while (length > 0) {
+        if (buffered.length === 0 && !(await fill())) {
+          throw new Error('Archive ends in the middle of a record');
+        }
+        const step = Math.min(length, buffered.length);
+        buffered = buffered.subarray(step);
+        length -= step;
+      }
+    }
+  };
+  
+  return reader;
+}
+
+/**
+ * Read the next record of a mongodump archive: either a BSON document or the
+ * -1 terminator that closes the prelude and every namespace block
+ */
+async function readArchiveRecord(reader, { parse = true } = {}) {
+  const lengthPrefix = await reader.read(4);
+  if (lengthPrefix === null) {
+    return null;
   }
   
-  return stats;
+  const length = lengthPrefix.readInt32LE(0);
+  if (length === -1) {
+    return { terminator: true };
+  }
+  if (length < 5) {
+    throw new Error(`Invalid BSON document length ${length}`);
+  }
+  
+  if (!parse) {
+    await reader.skip(length - 4);
+    return { length };
+  }
+  
+  const body = await reader.read(length - 4);
+  if (body === null) {
+    throw new Error('Archive ends in the middle of a record');
+  }
+  return { length, document: BSON.deserialize(Buffer.concat([lengthPrefix, body])) };
+}
+
+/**
+ * Collect document count, index count and data size of every collection in a
+ * compressed mongodump archive. Also returns the uncompressed archive size.
+ */
+async function collectArchiveStats(filePath, format, dbName, backupLogger) {
+  const archiveStream = openArchiveStream(filePath, format);
+  const reader = createStreamReader(archiveStream);
+  const collections = new Map();
+  
+  try {
+    const magic = await reader.read(4);
+    if (magic === null || magic.readUInt32LE(0) !== MONGODUMP_ARCHIVE_MAGIC) {
+      throw new Error('Not a mongodump archive');
+    }
+    
+    // Prelude: archive header followed by one metadata document per collection
+    const header = await readArchiveRecord(reader);
+    if (!header || header.terminator) {
+      throw new Error('Archive is missing its header');
+    }
+    
+    for (;;) {
+      const record = await readArchiveRecord(reader);
+      if (!record) {
+        throw new Error('Archive ends inside its prelude');
+      }
+      if (record.terminator) {
+        break;
+      }
+      
+      const entry = record.document;
+      if (entry.db !== dbName || entry.type === 'view') {
+        continue;
+      }
+      
+      let indexes = null;
+      try {
+        const metadata = JSON.parse(entry.metadata || '{}');
+        indexes = Array.isArray(metadata.indexes) ? metadata.indexes.length : 0;
+      } catch (error) {
+        backupLogger.warn(`Could not read index metadata of ${entry.collection}: ${error.message}`);
+      }
+      collections.set(entry.collection, { name: entry.collection, documents: 0, indexes, size: 0 });
+    }
+    
+    // Body: namespace headers, each followed by its documents and a terminator
+    for (;;) {
+      const record = await readArchiveRecord(reader);
+      if (!record) {
+        break;
+      }
+      if (record.terminator) {
+        throw new Error('Unexpected terminator between namespace blocks');
+      }
+      
+      const namespace = record.document;
+      const stats = namespace.db === dbName ? collections.get(namespace.collection) : null;
+      
+      for (;;) {
+        const document = await readArchiveRecord(reader, { parse: false });
+        if (!document) {
+          throw new Error(`Archive ends inside ${namespace.db}.${namespace.collection}`);
+        }
+        if (document.terminator) {
+          break;
+        }
+        if (stats) {
+          stats.documents++;
+          stats.size += document.length;
+        }
+      }
+    }
+    
+    return {
+      collections: [...collections.values()].sort((a, b) => a.name.localeCompare(b.name)),
+      uncompressedSize: reader.totalBytes
+    };
+  } finally {
+    archiveStream.destroy();
+  }
 }
 
 /**
@@ -188,437 +1303,5551 @@ function getDirectorySize(dirPath) {
 }
 
 /**
- * Save backup metadata to database
+ * List the files below a directory as paths relative to it
  */
-function saveBackupMetadata(metadata) {
-  return new Promise((resolve, reject) => {
-    const stmt = db.prepare(`INSERT INTO backups 
-      (timestamp, type, folder_name, database_name, status, duration_seconds, 
-       collections_count, documents_count, indexes_count, error_message, backup_size_bytes, backup_logs)
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`);
-    
-    stmt.run([
-      metadata.timestamp,
-      metadata.type,
-      metadata.folderName,
-      metadata.databaseName,
-      metadata.status,
-      metadata.duration,
-      metadata.collections,
-      metadata.documents,
-      metadata.indexes,
-      metadata.errorMessage,
-      metadata.backupSize,
-      metadata.backupLogs || ''
-    ], function(err) {
-      if (err) {
-        reject(err);
-      } else {
-        resolve(this.lastID);
-      }
-    });
+function listFilesRecursive(dirPath, relativeDir = '') {
+  let files = [];
+  
+  fs.readdirSync(path.join(dirPath, relativeDir)).forEach(file => {
+    const relativePath = path.join(relativeDir, file);
     
-    stmt.finalize();
+    if (fs.statSync(path.join(dirPath, relativePath)).isDirectory()) {
+      files = files.concat(listFilesRecursive(dirPath, relativePath));
+    } else {
+      files.push(relativePath);
+    }
   });
+  
+  return files;
 }
 
 /**
- * Determine backup type based on schedule
+ * Read a key file holding 32 bytes as raw binary, hex or base64
  */
-function determineBackupType() {
-  const now = moment().tz(TIMEZONE);
-  const hour = now.hour();
-  const minute = now.minute();
-  const dayOfMonth = now.date();
-  const dayOfYear = now.dayOfYear();
-  
-  // Yearly backup (January 1st at midnight)
-  if (NUMBER_OF_YEARLY_BACKUPS > 0 && dayOfYear === 1 && hour === 0 && minute === 0) {
-    return 'yearly';
-  }
+function readKeyFile(filePath) {
+  const content = fs.readFileSync(filePath);
   
-  // Monthly backup (1st of month at midnight)
-  if (NUMBER_OF_MONTHLY_BACKUPS > 0 && dayOfMonth === 1 && hour === 0 && minute === 0) {
-    return 'monthly';
+  if (content.length === ENCRYPTION_KEY_LENGTH) {
+    return content;
   }
   
-  // Weekly backup (distributed throughout the week)
-  if (NUMBER_OF_WEEKLY_BACKUPS > 0) {
-    const backupsPerDay = NUMBER_OF_WEEKLY_BACKUPS / 7;
-    const hoursPerBackup = 24 / backupsPerDay;
-    
-    if (minute === 0 && hour % Math.round(hoursPerBackup) === 0) {
-      return 'weekly';
-    }
+  const text = content.toString('utf8').trim();
+  const key = /^[0-9a-fA-F]{64}$/.test(text) ? Buffer.from(text, 'hex') : Buffer.from(text, 'base64');
+  if (key.length !== ENCRYPTION_KEY_LENGTH) {
+    throw new Error(`Key file ${filePath} must contain ${ENCRYPTION_KEY_LENGTH} bytes (raw, hex or base64)`);
   }
   
-  return 'daily';
+  return key;
 }
 
 /**
- * Clean up old backups based on retention policies
+ * Load the active encryption key and any retired keys kept for older backups.
+ * Returns null when encryption is not configured.
  */
-async function cleanupOldBackups(backupType) {
-  try {
-    if (backupType === 'daily' && MAX_DAILY_BACKUPS > 0) {
-      const today = moment().tz(TIMEZONE).format('YYYY-MM-DD');
+function loadEncryptionKeys() {
+  if (!ENCRYPTION_PASSPHRASE && !ENCRYPTION_KEY_FILE) {
+    return null;
+  }
+  
+  if (ENCRYPTION_PASSPHRASE && ENCRYPTION_KEY_FILE) {
+    throw new Error('Set either ENCRYPTION_PASSPHRASE or ENCRYPTION_KEY_FILE, not both');
+  }
+  
+  if (!/^[A-Za-z0-9_.-]+$/.test(ENCRYPTION_KEY_ID)) {
+    throw new Error(`Invalid ENCRYPTION_KEY_ID "${ENCRYPTION_KEY_ID}". Use letters, numbers, ".", "-" and "_" only.`);
+  }
+  
+  const keys = new Map();
+  
+  // Retired keys are named <keyId>.key or <keyId>.passphrase
+  if (ENCRYPTION_KEYRING_DIR) {
+    fs.readdirSync(ENCRYPTION_KEYRING_DIR).forEach(file => {
+      const filePath = path.join(ENCRYPTION_KEYRING_DIR, file);
       
-      db.all(`SELECT * FROM backups 
-              WHERE type = 'daily' 
-              AND status = 'success' 
-              AND date(timestamp) = ? 
-              ORDER BY timestamp DESC`, 
-              [today], (err, rows) => {
-        if (err) {
-          logger.error(`Error querying daily backups: ${err.message}`);
-          return;
-        }
-        
-        if (rows.length > MAX_DAILY_BACKUPS) {
-          const toDelete = rows.slice(MAX_DAILY_BACKUPS);
-          toDelete.forEach(backup => {
-            const backupPath = path.join(BACKUP_PATH, 'daily', backup.folder_name);
-            if (fs.existsSync(backupPath)) {
-              fs.rmSync(backupPath, { recursive: true, force: true });
-              logger.info(`Deleted old daily backup: ${backup.folder_name}`);
-            }
-          });
-        }
-      });
-    }
-    
-    // Clean up old weekly/monthly/yearly backups by age
-    const ageConfigs = [
-      { type: 'weekly', maxAge: MAX_AGE_OF_WEEKLY_BACKUPS, unit: 'weeks' },
-      { type: 'monthly', maxAge: MAX_AGE_OF_MONTHLY_BACKUPS, unit: 'months' },
-      { type: 'yearly', maxAge: MAX_AGE_OF_YEARLY_BACKUPS, unit: 'years' }
-    ];
-    
-    ageConfigs.forEach(config => {
-      if (backupType === config.type && config.maxAge > 0) {
-        const cutoffDate = moment().tz(TIMEZONE).subtract(config.maxAge, config.unit).format('YYYY-MM-DD');
-        
-        db.all(`SELECT * FROM backups 
-                WHERE type = ? 
-                AND date(timestamp) < ?`, 
-                [config.type, cutoffDate], (err, rows) => {
-          if (err) return;
-          
-          rows.forEach(backup => {
-            const backupPath = path.join(BACKUP_PATH, config.type, backup.folder_name);
-            if (fs.existsSync(backupPath)) {
-              fs.rmSync(backupPath, { recursive: true, force: true });
-              logger.info(`Deleted old ${config.type} backup: ${backup.folder_name}`);
-            }
-          });
-        });
+      if (file.endsWith('.key')) {
+        keys.set(path.basename(file, '.key'), { kdf: 'none', secret: readKeyFile(filePath) });
+      } else if (file.endsWith('.passphrase')) {
+        keys.set(path.basename(file, '.passphrase'), { kdf: 'scrypt', secret: fs.readFileSync(filePath, 'utf8').trim() });
       }
     });
-    
-  } catch (error) {
-    logger.error(`Error during cleanup: ${error.message}`);
   }
+  
+  keys.set(ENCRYPTION_KEY_ID, ENCRYPTION_PASSPHRASE
+    ? { kdf: 'scrypt', secret: ENCRYPTION_PASSPHRASE }
+    : { kdf: 'none', secret: readKeyFile(ENCRYPTION_KEY_FILE) });
+  
+  return { activeKeyId: ENCRYPTION_KEY_ID, keys };
 }
 
 /**
- * Perform MongoDB backup using mongodump
+ * Check whether a backup encrypted with the given key id can be decrypted
  */
-async function performBackup(backupType = null) {
-  if (isBackupRunning) {
-    logger.warn('Backup already in progress, skipping this interval');
-    return;
-  }
+function isEncryptionKeyAvailable(keyId) {
+  return !!(encryptionKeys && encryptionKeys.keys.has(keyId));
+}
 
-  // Determine backup type if not specified
-  if (!backupType) {
-    backupType = determineBackupType();
+/**
+ * Derive the AES key for a key id, using the salt from the file header for passphrases
+ */
+function deriveEncryptionKey(keyId, salt) {
+  const entry = encryptionKeys && encryptionKeys.keys.get(keyId);
+  if (!entry) {
+    throw new Error(`Encryption key "${keyId}" is not available`);
   }
+  
+  return entry.kdf === 'scrypt' ? crypto.scryptSync(entry.secret, salt, ENCRYPTION_KEY_LENGTH) : entry.secret;
+}
 
-  isBackupRunning = true;
-  const startTime = Date.now();
-  const timestamp = moment().tz(TIMEZONE).format();
-  const backupLogs = [];
+/**
+ * Encrypt a file with AES-256-GCM.
+ * Layout: magic, 4-byte header length, JSON header (authenticated), ciphertext, 16-byte auth tag.
+ */
+async function encryptFile(sourcePath, destinationPath) {
+  const keyId = encryptionKeys.activeKeyId;
+  const entry = encryptionKeys.keys.get(keyId);
+  const salt = crypto.randomBytes(16);
+  const iv = crypto.randomBytes(12);
   
-  // Custom logger for this backup
-  const backupLogger = {
-    info: (msg) => {
-      logger.info(msg);
-      backupLogs.push(`[INFO] ${new Date().toISOString()}: ${msg}`);
-    },
-    warn: (msg) => {
-      logger.warn(msg);
-      backupLogs.push(`[WARN] ${new Date().toISOString()}: ${msg}`);
+  const headerJson = Buffer.from(JSON.stringify({
+    version: 1,
+    algorithm: 'aes-256-gcm',
+    keyId,
+    kdf: entry.kdf,
+    salt: salt.toString('base64'),
+    iv: iv.toString('base64')
+  }));
+  const headerLength = Buffer.alloc(4);
+  headerLength.writeUInt32BE(headerJson.length);
+  const header = Buffer.concat([ENCRYPTION_MAGIC, headerLength, headerJson]);
+  
+  const cipher = crypto.createCipheriv('aes-256-gcm', deriveEncryptionKey(keyId, salt), iv);
+  cipher.setAAD(header);
+  
+  await pipeline(
+    fs.createReadStream(sourcePath),
+    async function* (source) {
+      yield header;
+      for await (const chunk of source) {
+        yield cipher.update(chunk);
+      }
+      yield cipher.final();
+      yield cipher.getAuthTag();
     },
-    error: (msg) => {
-      logger.error(msg);
-      backupLogs.push(`[ERROR] ${new Date().toISOString()}: ${msg}`);
-    }
-  };
+    fs.createWriteStream(destinationPath)
+  );
+}
+
+/**
+ * Read the header of an encrypted file
+ */
+async function readEncryptionHeader(filePath) {
+  const handle = await fs.promises.open(filePath, 'r');
   
   try {
-    backupLogger.info(`Starting ${backupType} MongoDB backup...`);
-    
-    const dbName = extractDatabaseName(MONGO_CONNECTION_STRING);
-    const backupFolderName = generateBackupFolderName(dbName, backupType);
-    const backupDir = path.join(BACKUP_PATH, backupType, backupFolderName);
-    
-    // Set current backup info for web UI
-    currentBackupInfo = {
-      type: backupType,
-      folderName: backupFolderName,
-      startTime: timestamp,
-      status: 'running'
-    };
-    
-    // Create backup directory
-    fs.mkdirSync(backupDir, { recursive: true });
-    backupLogger.info(`Created backup directory: ${backupDir}`);
-    
-    // Build mongodump command with production-safe options
-    const mongodumpCmd = [
-      'mongodump',
-      `--uri="${MONGO_CONNECTION_STRING}"`,
-      `--out="${backupDir}"`,
-      '--readPreference=secondaryPreferred',
-      '--numParallelCollections=1',
-      '--quiet'
-    ].join(' ');
-    
-    backupLogger.info(`Executing ${backupType} backup command`);
-    
-    // Execute mongodump
-    const { stdout, stderr } = await new Promise((resolve, reject) => {
-      exec(mongodumpCmd, { maxBuffer: 1024 * 1024 * 10 }, (error, stdout, stderr) => {
-        if (error) {
-          reject(error);
-          return;
-        }
-        resolve({ stdout, stderr });
-      });
-    });
-    
-    if (stderr) {
-      backupLogger.warn(`Backup stderr: ${stderr}`);
-    }
-    
-    if (stdout) {
-      backupLogger.info(`Backup stdout: ${stdout}`);
-    }
-    
-    const duration = Math.round((Date.now() - startTime) / 1000);
-    const backupSize = getDirectorySize(backupDir);
-    const stats = parseBackupStats(stdout);
+    const prefix = Buffer.alloc(ENCRYPTION_MAGIC.length + 4);
+    await handle.read(prefix, 0, prefix.length, 0);
     
-    // Count actual collections from backup
-    const dbDir = path.join(backupDir, dbName);
-    let actualCollections = 0;
-    if (fs.existsSync(dbDir)) {
-      const files = fs.readdirSync(dbDir);
-      actualCollections = files.filter(file => file.endsWith('.bson')).length;
-      backupLogger.info(`Backed up ${actualCollections} collections`);
+    if (!prefix.subarray(0, ENCRYPTION_MAGIC.length).equals(ENCRYPTION_MAGIC)) {
+      throw new Error(`${filePath} is not an encrypted backup file`);
     }
     
-    // Save metadata
-    await saveBackupMetadata({
-      timestamp,
-      type: backupType,
-      folderName: backupFolderName,
-      databaseName: dbName,
-      status: 'success',
-      duration,
-      collections: actualCollections,
-      documents: stats.documents,
-      indexes: stats.indexes,
-      errorMessage: null,
-      backupSize,
-      backupLogs: backupLogs.join('\n')
-    });
-    
-    backupLogger.info(`${backupType} backup completed successfully in ${duration} seconds. Collections: ${actualCollections}, Size: ${(backupSize / 1024 / 1024).toFixed(2)}MB`);
-    
-    // Cleanup old backups
-    await cleanupOldBackups(backupType);
-    
-  } catch (error) {
-    const duration = Math.round((Date.now() - startTime) / 1000);
-    backupLogger.error(`${backupType} backup failed after ${duration} seconds: ${error.message}`);
+    const headerJson = Buffer.alloc(prefix.readUInt32BE(ENCRYPTION_MAGIC.length));
+    await handle.read(headerJson, 0, headerJson.length, prefix.length);
     
-    // Save failure metadata
-    const dbName = extractDatabaseName(MONGO_CONNECTION_STRING);
-    const backupFolderName = generateBackupFolderName(dbName, backupType);
+    const { size } = await handle.stat();
+    const authTag = Buffer.alloc(16);
+    await handle.read(authTag, 0, authTag.length, size - authTag.length);
     
-    await saveBackupMetadata({
-      timestamp,
-      type: backupType,
-      folderName: backupFolderName,
-      databaseName: dbName,
-      status: 'failed',
-      duration,
-      collections: 0,
-      documents: 0,
-      indexes: 0,
-      errorMessage: error.message,
-      backupSize: 0,
-      backupLogs: backupLogs.join('\n')
-    });
+    return {
+      header: JSON.parse(headerJson.toString('utf8')),
+      headerBytes: Buffer.concat([prefix, headerJson]),
+      authTag,
+      ciphertextEnd: size - authTag.length
+    };
   } finally {
-    isBackupRunning = false;
-    currentBackupInfo = null;
+    await handle.close();
   }
 }
 
 /**
- * Check if backups are needed for each type and create them
+ * Stream the decrypted content of an encrypted file.
+ * The auth tag is checked at the end, so a tampered file errors out on the last chunk.
  */
-async function checkAndCreateMissingBackups() {
-  if (isBackupRunning) {
-    logger.info('Backup in progress, will check for missing backups later...');
-    setTimeout(() => checkAndCreateMissingBackups(), 30000); // Try again in 30 seconds
-    return;
+async function* decryptFileStream(filePath) {
+  const { header, headerBytes, authTag, ciphertextEnd } = await readEncryptionHeader(filePath);
+  
+  const key = deriveEncryptionKey(header.keyId, Buffer.from(header.salt, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(header.iv, 'base64'));
+  decipher.setAAD(headerBytes);
+  decipher.setAuthTag(authTag);
+  
+  if (ciphertextEnd > headerBytes.length) {
+    const source = fs.createReadStream(filePath, { start: headerBytes.length, end: ciphertextEnd - 1 });
+    for await (const chunk of source) {
+      yield decipher.update(chunk);
+    }
   }
+  yield decipher.final();
+}
 
+/**
+ * Encrypt every file of a finished dump in place, removing the plaintext
+ */
+async function encryptBackupDir(backupDir) {
+  for (const file of listFilesRecursive(backupDir)) {
+    const filePath = path.join(backupDir, file);
+    await encryptFile(filePath, filePath + ENCRYPTED_FILE_SUFFIX);
+    await fs.promises.rm(filePath);
+  }
+}
+
+/**
+ * Decrypt an encrypted backup folder into another folder
+ */
+async function decryptBackupDir(backupDir, destinationDir) {
+  for (const file of listFilesRecursive(backupDir)) {
+    const destinationPath = path.join(destinationDir, file.endsWith(ENCRYPTED_FILE_SUFFIX) ? file.slice(0, -ENCRYPTED_FILE_SUFFIX.length) : file);
+    await fs.promises.mkdir(path.dirname(destinationPath), { recursive: true });
+    
+    if (file.endsWith(ENCRYPTED_FILE_SUFFIX)) {
+      await pipeline(decryptFileStream(path.join(backupDir, file)), fs.createWriteStream(destinationPath));
+    } else {
+      await fs.promises.copyFile(path.join(backupDir, file), destinationPath);
+    }
+  }
+}
+
+/**
+ * Check whether a dump file is listed in the checksum manifest
+ */
+function isManifestFile(file) {
+  return file.endsWith('.bson') || file.endsWith('.metadata.json') ||
+    Object.values(ARCHIVE_FILE_NAMES).includes(path.basename(file));
+}
+
+/**
+ * Compute the SHA-256 of a file's content, decrypting encrypted files on the fly
+ */
+async function hashFile(filePath) {
+  const hash = crypto.createHash('sha256');
+  const source = filePath.endsWith(ENCRYPTED_FILE_SUFFIX) ? decryptFileStream(filePath) : fs.createReadStream(filePath);
+  
+  for await (const chunk of source) {
+    hash.update(chunk);
+  }
+  
+  return hash.digest('hex');
+}
+
+/**
+ * Write a SHA-256 manifest of the dump files next to the dump.
+ * The format matches sha256sum, so unencrypted backups can be checked with `sha256sum -c`.
+ */
+async function writeBackupManifest(backupDir) {
+  const files = listFilesRecursive(backupDir).filter(isManifestFile);
+  const lines = [];
+  
+  for (const file of files) {
+    lines.push(`${await hashFile(path.join(backupDir, file))}  ${file.split(path.sep).join('/')}`);
+  }
+  
+  fs.writeFileSync(path.join(backupDir, MANIFEST_FILE_NAME), lines.join('\n') + '\n');
+  return files.length;
+}
+
+/**
+ * Read the manifest of a backup folder. Returns null when the backup has none.
+ */
+async function readBackupManifest(backupDir) {
+  const manifestPath = path.join(backupDir, MANIFEST_FILE_NAME);
+  let content;
+  
+  if (fs.existsSync(manifestPath)) {
+    content = fs.readFileSync(manifestPath, 'utf8');
+  } else if (fs.existsSync(manifestPath + ENCRYPTED_FILE_SUFFIX)) {
+    const chunks = [];
+    for await (const chunk of decryptFileStream(manifestPath + ENCRYPTED_FILE_SUFFIX)) {
+      chunks.push(chunk);
+    }
+    content = Buffer.concat(chunks).toString('utf8');
+  } else {
+    return null;
+  }
+  
+  return content.split('\n').filter(line => line.trim()).map(line => {
+    const match = line.match(/^([0-9a-f]{64}) {2}(.+)$/);
+    if (!match) {
+      throw new Error(`Malformed manifest line: ${line}`);
+    }
+    return { sha256: match[1], file: match[2] };
+  });
+}
+
+/**
+ * Re-hash the files of a backup folder and compare them with its manifest
+ */
+async function verifyBackupFiles(backupDir) {
+  if (!fs.existsSync(backupDir)) {
+    return { status: 'missing', error: 'Backup folder not found on disk' };
+  }
+  
+  let manifest;
+  try {
+    manifest = await readBackupManifest(backupDir);
+  } catch (error) {
+    return { status: 'corrupted', error: `Could not read manifest: ${error.message}` };
+  }
+  
+  if (!manifest) {
+    return { status: 'no_manifest', error: null };
+  }
+  
+  const missing = [];
+  const corrupted = [];
+  
+  for (const entry of manifest) {
+    const filePath = path.join(backupDir, ...entry.file.split('/'));
+    const storedPath = fs.existsSync(filePath) ? filePath : filePath + ENCRYPTED_FILE_SUFFIX;
+    
+    if (!fs.existsSync(storedPath)) {
+      missing.push(entry.file);
+      continue;
+    }
+    
+    try {
+      if (await hashFile(storedPath) !== entry.sha256) {
+        corrupted.push(entry.file);
+      }
+    } catch (error) {
+      // A failed GCM auth tag check means the ciphertext was modified
+      corrupted.push(`${entry.file} (${error.message})`);
+    }
+  }
+  
+  if (corrupted.length > 0) {
+    return { status: 'corrupted', error: `Checksum mismatch: ${corrupted.join(', ')}` };
+  }
+  
+  if (missing.length > 0) {
+    return { status: 'missing', error: `Missing files: ${missing.join(', ')}` };
+  }
+  
+  return { status: 'verified', error: null };
+}
+
+/**
+ * Verify a stored backup and record the result
+ */
+async function verifyBackup(backup) {
+  let result;
+  
+  if (backup.encryption_key_id && !isEncryptionKeyAvailable(backup.encryption_key_id)) {
+    result = { status: 'error', error: `Encryption key "${backup.encryption_key_id}" is not available` };
+  } else {
+    result = await verifyBackupFiles(getBackupDir(backup));
+  }
+  
+  const verifiedAt = moment().tz(TIMEZONE).format();
+  
+  await new Promise((resolve, reject) => {
+    db.run(`UPDATE backups SET verification_status = ?, verification_error = ?, verified_at = ? WHERE id = ?`, 
+           [result.status, result.error, verifiedAt, backup.id], (err) => err ? reject(err) : resolve());
+  });
+  
+  if (result.status === 'verified' || result.status === 'no_manifest') {
+    logger.info(`Verified ${backup.type} backup ${backup.folder_name}: ${result.status}`);
+  } else {
+    logger.error(`Verification of ${backup.type} backup ${backup.folder_name} failed: ${result.status} - ${result.error}`);
+  }
+  
+  return { ...result, verifiedAt };
+}
+
+/**
+ * Re-hash every stored backup to catch bit rot and files that went missing
+ */
+async function verifyStoredBackups() {
+  if (isVerificationRunning) {
+    logger.warn('Backup verification already in progress, skipping this run');
+    return;
+  }
+  
+  isVerificationRunning = true;
+  
+  try {
+    const backups = await new Promise((resolve, reject) => {
+      db.all(`SELECT * FROM backups WHERE status = 'success' ORDER BY timestamp DESC`, (err, rows) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(rows);
+        }
+      });
+    });
+    
+    logger.info(`Verifying ${backups.length} stored backups...`);
+    
+    const counts = {};
+    for (const backup of backups) {
+      const result = await verifyBackup(backup);
+      counts[result.status] = (counts[result.status] || 0) + 1;
+    }
+    
+    logger.info(`Backup verification finished: ${Object.entries(counts).map(([status, count]) => `${count} ${status}`).join(', ') || 'nothing to verify'}`);
+  } catch (error) {
+    logger.error(`Error during backup verification: ${error.message}`);
+  } finally {
+    isVerificationRunning = false;
+  }
+}
+
+/**
+ * Storage backend that uploads backups to an S3-compatible bucket (AWS S3, MinIO, ...)
+ */
+function createS3Backend(config) {
+  if (!config.bucket) {
+    throw new Error(`Storage backend "${config.name}" needs a bucket`);
+  }
+  
+  const { S3Client, ListObjectsV2Command, DeleteObjectsCommand } = require('@aws-sdk/client-s3');
+  const { Upload } = require('@aws-sdk/lib-storage');
+  
+  const client = new S3Client({
+    endpoint: config.endpoint,
+    region: config.region || 'us-east-1',
+    // MinIO and most self-hosted services only support path-style URLs
+    forcePathStyle: config.forcePathStyle ?? !!config.endpoint,
+    credentials: config.accessKeyId ? {
+      accessKeyId: config.accessKeyId,
+      secretAccessKey: config.secretAccessKey
+    } : undefined
+  });
+  const prefix = (config.prefix || '').replace(/^\/+|\/+$/g, '');
+  
+  const parseLocation = (location) => {
+    const match = location.match(/^s3:\/\/([^/]+)\/(.+)$/);
+    if (!match) {
+      throw new Error(`Not an S3 location: ${location}`);
+    }
+    return { bucket: match[1], key: match[2] };
+  };
+  
+  return {
+    name: config.name,
+    type: 's3',
+    
+    async upload(localDir, relativeKey) {
+      const baseKey = prefix ? `${prefix}/${relativeKey}` : relativeKey;
+      
+      for (const file of listFilesRecursive(localDir)) {
+        const upload = new Upload({
+          client,
+          params: {
+            Bucket: config.bucket,
+            Key: `${baseKey}/${file.split(path.sep).join('/')}`,
+            Body: fs.createReadStream(path.join(localDir, file))
+          }
+        });
+        await upload.done();
+      }
+      
+      return `s3://${config.bucket}/${baseKey}`;
+    },
+    
+    async remove(location) {
+      const { bucket, key } = parseLocation(location);
+      let continuationToken;
+      
+      do {
+        const listing = await client.send(new ListObjectsV2Command({
+          Bucket: bucket,
+          Prefix: `${key}/`,
+          ContinuationToken: continuationToken
+        }));
+        
+        const objects = (listing.Contents || []).map(object => ({ Key: object.Key }));
+        if (objects.length > 0) {
+          await client.send(new DeleteObjectsCommand({
+            Bucket: bucket,
+            Delete: { Objects: objects, Quiet: true }
+          }));
+        }
+        
+        continuationToken = listing.IsTruncated ? listing.NextContinuationToken : undefined;
+      } while (continuationToken);
+    }
+  };
+}
+
+/**
+ * Storage backend that copies backups to a second filesystem path (NFS mount, USB disk, ...)
+ */
+function createFilesystemBackend(config) {
+  if (!config.path) {
+    throw new Error(`Storage backend "${config.name}" needs a path`);
+  }
+  
+  const rootPath = path.resolve(config.path);
+  
+  return {
+    name: config.name,
+    type: 'filesystem',
+    
+    async upload(localDir, relativeKey) {
+      const destination = path.join(rootPath, relativeKey);
+      await fs.promises.mkdir(path.dirname(destination), { recursive: true });
+      await fs.promises.cp(localDir, destination, { recursive: true });
+      return destination;
+    },
+    
+    async remove(location) {
+      // Never delete anything outside of the configured path
+      if (!path.resolve(location).startsWith(rootPath + path.sep)) {
+        throw new Error(`Refusing to delete ${location} outside of ${rootPath}`);
+      }
+      await fs.promises.rm(location, { recursive: true, force: true });
+    }
+  };
+}
+
+/**
+ * Create a storage backend from its configuration
+ */
+function createStorageBackend(definition) {
+  switch (definition.type) {
+    case 's3':
+      return createS3Backend(definition);
+    case 'filesystem':
+      return createFilesystemBackend(definition);
+    default:
+      throw new Error(`Storage backend "${definition.name}" has unknown type "${definition.type}". Use "s3" or "filesystem".`);
+  }
+}
+
+/**
+ * Build the remote storage backends from STORAGE_BACKENDS_FILE or STORAGE_BACKENDS
+ */
+function loadStorageBackends(config) {
+  let definitions;
+  
+  if (config.storageBackendsFile) {
+    definitions = JSON.parse(fs.readFileSync(config.storageBackendsFile, 'utf8'));
+  } else if (config.storageBackends) {
+    definitions = config.storageBackends;
+  } else {
+    return [];
+  }
+  
+  if (!Array.isArray(definitions)) {
+    throw new Error('Storage backends must be a JSON array');
+  }
+  
+  const names = new Set();
+  
+  return definitions.map(definition => {
+    if (typeof definition.name !== 'string' || !definition.name) {
+      throw new Error('Every storage backend needs a name');
+    }
+    
+    if (names.has(definition.name)) {
+      throw new Error(`Duplicate storage backend name "${definition.name}"`);
+    }
+    names.add(definition.name);
+    
+    return createStorageBackend(definition);
+  });
+}
+
+/**
+ * Save where a copy of a backup was stored
+ */
+function saveBackupCopy(copy) {
+  return new Promise((resolve, reject) => {
+    db.run(`INSERT INTO backup_copies (backup_id, backend, location, status, error_message, created_at) 
+            VALUES (?, ?, ?, ?, ?, ?)`, [
+      copy.backupId,
+      copy.backend,
+      copy.location,
+      copy.status,
+      copy.errorMessage,
+      moment().tz(TIMEZONE).format()
+    ], function(err) {
+      if (err) {
+        reject(err);
+      } else {
+        resolve(this.lastID);
+      }
+    });
+  });
+}
+
+/**
+ * Ship a finished backup to every configured storage backend.
+ * Failed uploads are logged and recorded but never fail the backup itself.
+ */
+async function replicateBackup(backupDir, relativeKey, backupLogger) {
+  const copies = [];
+  
+  for (const backend of storageBackends) {
+    try {
+      backupLogger.info(`Uploading backup to storage backend ${backend.name} (${backend.type})`);
+      const location = await backend.upload(backupDir, relativeKey);
+      backupLogger.info(`Uploaded backup to ${location}`);
+      copies.push({ backend: backend.name, location, status: 'success', errorMessage: null });
+    } catch (error) {
+      backupLogger.error(`Upload to storage backend ${backend.name} failed: ${error.message}`);
+      copies.push({ backend: backend.name, location: null, status: 'failed', errorMessage: error.message });
+    }
+  }
+  
+  return copies;
+}
+
+/**
+ * Delete the remote copies of a backup and mark them as deleted
+ */
+async function removeBackupCopies(backup) {
+  const copies = await new Promise((resolve, reject) => {
+    db.all(`SELECT * FROM backup_copies WHERE backup_id = ? AND status = 'success'`, [backup.id], (err, rows) => {
+      if (err) {
+        reject(err);
+      } else {
+        resolve(rows);
+      }
+    });
+  });
+  
+  for (const copy of copies) {
+    const backend = storageBackends.find(candidate => candidate.name === copy.backend);
+    if (!backend) {
+      logger.warn(`Storage backend ${copy.backend} is no longer configured, leaving ${copy.location} in place`);
+      continue;
+    }
+    
+    try {
+      await backend.remove(copy.location);
+      await new Promise((resolve, reject) => {
+        db.run(`UPDATE backup_copies SET status = 'deleted', deleted_at = ? WHERE id = ?`, 
+               [moment().tz(TIMEZONE).format(), copy.id], (err) => err ? reject(err) : resolve());
+      });
+      logger.info(`Deleted remote copy of ${backup.folder_name} from ${copy.location}`);
+    } catch (error) {
+      logger.error(`Could not delete remote copy ${copy.location}: ${error.message}`);
+    }
+  }
+}
+
+/**
+ * Default title and message of each notification event. Placeholders like
+ * {{target}} are filled from the event context.
+ */
+const DEFAULT_NOTIFICATION_TEMPLATES = {
+  failure: {
+    title: 'Backup failed: {{target}}',
+    message: 'The {{type}} backup of {{database}} (target {{target}}) failed at {{timestamp}}: {{error}}'
+  },
+  recovery: {
+    title: 'Backup recovered: {{target}}',
+    message: 'The {{type}} backup of {{database}} (target {{target}}) succeeded at {{timestamp}} after {{failures}} failed attempt(s).'
+  },
+  stale: {
+    title: 'No successful backup: {{target}}',
+    message: 'Target {{target}} ({{database}}) has had no successful backup for more than {{hours}} hours. Last success: {{lastSuccess}}.'
+  },
+  drill: {
+    title: 'Restore drill {{status}}: {{target}}',
+    message: 'The restore drill of {{type}} backup {{folder}} (target {{target}}) {{status}} at {{timestamp}}: {{error}}'
+  },
+  oplog: {
+    title: 'Oplog capture {{status}}: {{target}}',
+    message: 'Oplog capture of {{database}} (target {{target}}) is {{status}} at {{timestamp}}: {{error}}'
+  },
+  test: {
+    title: 'Test notification',
+    message: 'Test notification from the MongoDB backup service, sent at {{timestamp}}.'
+  }
+};
+
+/**
+ * Fill the {{placeholders}} of a template
+ */
+function renderTemplate(template, context) {
+  return template.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, key) => {
+    const value = context[key];
+    return value === undefined || value === null ? '' : String(value);
+  });
+}
+
+/**
+ * POST a JSON body and fail on non-2xx responses
+ */
+async function postJson(url, body, headers = {}) {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(body),
+    signal: AbortSignal.timeout(10000)
+  });
+  
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status} ${response.statusText}`);
+  }
+}
+
+/**
+ * Create a channel posting the notification as JSON to any URL
+ */
+function createWebhookChannel(config) {
+  if (!config.url) {
+    throw new Error(`Notification channel "${config.name}" needs a url`);
+  }
+  
+  return {
+    async send(notification) {
+      await postJson(config.url, notification, config.headers);
+    }
+  };
+}
+
+/**
+ * Create a channel for Slack-compatible incoming webhooks (Slack, Mattermost, Rocket.Chat, ...)
+ */
+function createSlackChannel(config) {
+  if (!config.url) {
+    throw new Error(`Notification channel "${config.name}" needs a url`);
+  }
+  
+  return {
+    async send(notification) {
+      await postJson(config.url, { text: `*${notification.title}*\n${notification.message}` });
+    }
+  };
+}
+
+/**
+ * Create a channel sending email through an SMTP server
+ */
+function createSmtpChannel(config) {
+  if (!config.host || !config.from || !config.to) {
+    throw new Error(`Notification channel "${config.name}" needs a host, from and to`);
+  }
+  
+  // Load the mail client only when email notifications are configured
+  const nodemailer = require('nodemailer');
+  const transport = nodemailer.createTransport({
+    host: config.host,
+    port: config.port || (config.secure ? 465 : 587),
+    secure: Boolean(config.secure),
+    auth: config.username ? { user: config.username, pass: config.password } : undefined
+  });
+  
+  return {
+    async send(notification) {
+      await transport.sendMail({
+        from: config.from,
+        to: Array.isArray(config.to) ? config.to.join(', ') : config.to,
+        subject: notification.title,
+        text: notification.message
+      });
+    }
+  };
+}
+
+/**
+ * Create a notification channel from its configuration
+ */
+function createNotificationChannel(definition) {
+  let channel;
+  
+  switch (definition.type) {
+    case 'webhook':
+      channel = createWebhookChannel(definition);
+      break;
+    case 'slack':
+      channel = createSlackChannel(definition);
+      break;
+    case 'smtp':
+      channel = createSmtpChannel(definition);
+      break;
+    default:
+      throw new Error(`Notification channel "${definition.name}" has unknown type "${definition.type}". Use "webhook", "slack" or "smtp".`);
+  }
+  
+  const events = definition.events || NOTIFICATION_EVENTS;
+  if (!Array.isArray(events) || events.some(event => !NOTIFICATION_EVENTS.includes(event))) {
+    throw new Error(`Notification channel "${definition.name}" events must be a list of ${NOTIFICATION_EVENTS.join(', ')}`);
+  }
+  
+  return {
+    name: definition.name,
+    type: definition.type,
+    events,
+    templates: definition.templates || {},
+    send: channel.send
+  };
+}
+
+/**
+ * Build the notification channels from NOTIFICATION_CHANNELS_FILE or NOTIFICATION_CHANNELS
+ */
+function loadNotificationChannels(config) {
+  let definitions;
+  
+  if (config.notificationChannelsFile) {
+    definitions = JSON.parse(fs.readFileSync(config.notificationChannelsFile, 'utf8'));
+  } else if (config.notificationChannels) {
+    definitions = config.notificationChannels;
+  } else {
+    return [];
+  }
+  
+  if (!Array.isArray(definitions)) {
+    throw new Error('Notification channels must be a JSON array');
+  }
+  
+  const names = new Set();
+  
+  return definitions.map(definition => {
+    if (typeof definition.name !== 'string' || !definition.name) {
+      throw new Error('Every notification channel needs a name');
+    }
+    
+    if (names.has(definition.name)) {
+      throw new Error(`Duplicate notification channel name "${definition.name}"`);
+    }
+    names.add(definition.name);
+    
+    return createNotificationChannel(definition);
+  });
+}
+
+/**
+ * Render the notification of an event for one channel, using the channel's
+ * own templates where it has them
+ */
+function buildNotification(channel, event, context) {
+  const template = { ...DEFAULT_NOTIFICATION_TEMPLATES[event], ...channel.templates[event] };
+  
+  return {
+    event,
+    title: renderTemplate(template.title, context),
+    message: renderTemplate(template.message, context),
+    ...context
+  };
+}
+
+/**
+ * Check whether a notification may be sent now. Repeats of the same event for
+ * the same target on the same channel are suppressed within the rate limit
+ * window, and the number of suppressed notifications is returned with the
+ * next one that goes out.
+ */
+function takeNotificationSlot(channel, event, target) {
+  const key = `${channel.name}:${event}:${target}`;
+  const now = Date.now();
+  const state = notificationRateLimits.get(key);
+  
+  if (state && now - state.lastSentAt < settings.notificationRateLimitMinutes * 60 * 1000) {
+    state.suppressed++;
+    return null;
+  }
+  
+  notificationRateLimits.set(key, { lastSentAt: now, suppressed: 0 });
+  return { suppressed: state ? state.suppressed : 0 };
+}
+
+/**
+ * Send an event to every channel subscribed to it. Delivery problems are
+ * logged and never interrupt the caller.
+ */
+async function notify(event, context) {
+  const fullContext = { timestamp: moment().tz(TIMEZONE).format(), ...context };
+  
+  for (const channel of notificationChannels.filter(channel => channel.events.includes(event))) {
+    const slot = takeNotificationSlot(channel, event, fullContext.target);
+    if (!slot) {
+      logger.info(`Notification ${event} for ${fullContext.target} on channel ${channel.name} suppressed by rate limit`);
+      continue;
+    }
+    
+    const notification = buildNotification(channel, event, fullContext);
+    if (slot.suppressed > 0) {
+      notification.message += `\n(${slot.suppressed} similar notification(s) were suppressed in the last ${settings.notificationRateLimitMinutes} minutes)`;
+    }
+    
+    try {
+      await channel.send(notification);
+      logger.info(`Sent ${event} notification for ${fullContext.target} to channel ${channel.name}`);
+    } catch (error) {
+      logger.error(`Sending ${event} notification to channel ${channel.name} failed: ${error.message}`);
+    }
+  }
+}
+
+/**
+ * Send a test notification to one channel, or to all of them, ignoring
+ * subscriptions and rate limits
+ */
+async function sendTestNotification(channelName) {
+  const channels = channelName
+    ? notificationChannels.filter(channel => channel.name === channelName)
+    : notificationChannels;
+  
+  if (channelName && channels.length === 0) {
+    const error = new Error(`Unknown notification channel "${channelName}"`);
+    error.statusCode = 404;
+    throw error;
+  }
+  
+  const context = { timestamp: moment().tz(TIMEZONE).format(), target: 'test' };
+  const results = [];
+  
+  for (const channel of channels) {
+    try {
+      await channel.send(buildNotification(channel, 'test', context));
+      logger.info(`Sent test notification to channel ${channel.name}`);
+      results.push({ channel: channel.name, status: 'sent', error: null });
+    } catch (error) {
+      logger.error(`Sending test notification to channel ${channel.name} failed: ${error.message}`);
+      results.push({ channel: channel.name, status: 'failed', error: error.message });
+    }
+  }
+  
+  return results;
+}
+
+/**
+ * Count a target's failed backups since its last successful one
+ */
+function countFailuresSinceLastSuccess(targetName) {
+  return new Promise((resolve, reject) => {
+    db.get(`SELECT COUNT(*) as failures FROM backups 
+            WHERE target = ? 
+            AND status = 'failed' 
+            AND id > COALESCE((SELECT MAX(id) FROM backups WHERE target = ? AND status IN ('success', 'pruned')), 0)`, 
+            [targetName, targetName], (err, row) => {
+      if (err) {
+        reject(err);
+      } else {
+        resolve(row.failures);
+      }
+    });
+  });
+}
+
+/**
+ * Alert once when a target has gone NOTIFY_NO_SUCCESS_HOURS without a
+ * successful backup. The alert is re-armed by the next successful backup.
+ */
+async function checkStaleTargets() {
+  for (const target of backupTargets) {
+    if (staleTargets.has(target.name)) {
+      continue;
+    }
+    
+    const lastSuccess = await new Promise((resolve, reject) => {
+      db.get(`SELECT timestamp FROM backups WHERE target = ? AND status IN ('success', 'pruned') ORDER BY id DESC LIMIT 1`, 
+             [target.name], (err, row) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(row ? row.timestamp : null);
+        }
+      });
+    });
+    
+    // Without any successful backup, count from when the service started
+    const since = lastSuccess ? moment(lastSuccess) : moment(serviceStartedAt);
+    if (moment().diff(since, 'hours', true) < settings.notifyNoSuccessHours) {
+      continue;
+    }
+    
+    staleTargets.add(target.name);
+    logger.warn(`Target ${target.name} has had no successful backup for more than ${settings.notifyNoSuccessHours} hours`);
+    await notify('stale', {
+      target: target.name,
+      database: target.databaseName,
+      hours: settings.notifyNoSuccessHours,
+      lastSuccess: lastSuccess || 'never'
+    });
+  }
+}
+
+/**
+ * Save the metadata of a backup. Runs write a running row when they start and
+ * update it in place (metadata.id) once they finish.
+ */
+function saveBackupMetadata(metadata) {
+  const fields = {
+    timestamp: metadata.timestamp,
+    target: metadata.target,
+    type: metadata.type,
+    folder_name: metadata.folderName,
+    database_name: metadata.databaseName,
+    status: metadata.status,
+    duration_seconds: metadata.duration,
+    collections_count: metadata.collections,
+    documents_count: metadata.documents,
+    indexes_count: metadata.indexes,
+    error_message: metadata.errorMessage,
+    backup_size_bytes: metadata.backupSize,
+    backup_logs: metadata.backupLogs || '',
+    encryption_key_id: metadata.encryptionKeyId || null,
+    verification_status: metadata.verificationStatus || null,
+    verification_error: metadata.verificationError || null,
+    verified_at: metadata.verifiedAt || null,
+    label: metadata.label || null,
+    format: metadata.format || null,
+    uncompressed_size_bytes: metadata.uncompressedSize || null,
+    compression_ratio: metadata.compressionRatio || null,
+    oplog_start_ts: metadata.oplogStartTs || null,
+    oplog_end_ts: metadata.oplogEndTs || null,
+    collection_filters: metadata.collectionFilters ? JSON.stringify(metadata.collectionFilters) : null
+  };
+  const columns = Object.keys(fields);
+  const values = Object.values(fields);
+  
+  return new Promise((resolve, reject) => {
+    if (metadata.id) {
+      db.run(`UPDATE backups SET ${columns.map(column => `${column} = ?`).join(', ')} WHERE id = ?`, 
+             [...values, metadata.id], (err) => err ? reject(err) : resolve(metadata.id));
+      return;
+    }
+    
+    db.run(`INSERT INTO backups (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`, values, function(err) {
+      if (err) {
+        reject(err);
+      } else {
+        resolve(this.lastID);
+      }
+    });
+  });
+}
+
+/**
+ * Replace the stored log of a backup, for output added after it was saved
+ */
+function updateBackupLogs(backupId, backupLogs) {
+  return new Promise((resolve, reject) => {
+    db.run(`UPDATE backups SET backup_logs = ? WHERE id = ?`, [backupLogs, backupId], (err) => err ? reject(err) : resolve());
+  });
+}
+
+/**
+ * Record how a backup that did not succeed ended. Only these columns are
+ * touched, so the running row keeps its format, label and filters.
+ */
+function finishBackupRow(backupId, { status, duration, errorMessage, backupLogs }) {
+  return new Promise((resolve, reject) => {
+    db.run(`UPDATE backups SET status = ?, duration_seconds = ?, error_message = ?, backup_logs = ? WHERE id = ?`,
+           [status, duration, errorMessage, backupLogs, backupId], (err) => err ? reject(err) : resolve(backupId));
+  });
+}
+
+/**
+ * Save the per-collection statistics of a backup
+ */
+function saveCollectionStats(backupId, collections) {
+  return new Promise((resolve, reject) => {
+    const stmt = db.prepare(`INSERT INTO backup_collections 
+      (backup_id, collection_name, documents_count, indexes_count, size_bytes)
+      VALUES (?, ?, ?, ?, ?)`);
+    
+    // Without a callback a failed insert is emitted as an error event and ends the process
+    let insertError = null;
+    collections.forEach(collection => {
+      stmt.run([backupId, collection.name, collection.documents, collection.indexes, collection.size], (err) => {
+        insertError = insertError || err;
+      });
+    });
+    
+    stmt.finalize((err) => {
+      if (err || insertError) {
+        reject(err || insertError);
+      } else {
+        resolve();
+      }
+    });
+  });
+}
+
+/**
+ * Get the per-collection statistics of a backup
+ */
+function getCollectionStats(backupId) {
+  return new Promise((resolve, reject) => {
+    db.all(`SELECT * FROM backup_collections WHERE backup_id = ? ORDER BY collection_name`, [backupId], (err, rows) => {
+      if (err) {
+        reject(err);
+      } else {
+        resolve(rows);
+      }
+    });
+  });
+}
+
+/**
+ * Find the latest successful backup of the same target taken before the given
+ * one that has per-collection statistics to compare against
+ */
+function getPreviousBackup(backup) {
+  return new Promise((resolve, reject) => {
+    db.get(`SELECT id, timestamp, type, folder_name FROM backups 
+            WHERE target = ? 
+            AND status = 'success' 
+            AND id < ? 
+            AND EXISTS (SELECT 1 FROM backup_collections WHERE backup_id = backups.id) 
+            ORDER BY id DESC LIMIT 1`, 
+            [backup.target, backup.id], (err, row) => {
+      if (err) {
+        reject(err);
+      } else {
+        resolve(row || null);
+      }
+    });
+  });
+}
+
+/**
+ * Pair up the collections of two backups. Collections only present in one of
+ * them are marked as added or removed.
+ */
+function compareCollectionStats(current, previous) {
+  const previousByName = new Map(previous.map(row => [row.collection_name, row]));
+  const currentNames = new Set(current.map(row => row.collection_name));
+  
+  const collections = current.map(row => {
+    const before = previousByName.get(row.collection_name);
+    return {
+      name: row.collection_name,
+      change: before ? null : 'added',
+      documents: row.documents_count,
+      indexes: row.indexes_count,
+      size: row.size_bytes,
+      previous: before ? {
+        documents: before.documents_count,
+        indexes: before.indexes_count,
+        size: before.size_bytes
+      } : null
+    };
+  });
+  
+  previous.filter(row => !currentNames.has(row.collection_name)).forEach(row => {
+    collections.push({
+      name: row.collection_name,
+      change: 'removed',
+      documents: null,
+      indexes: null,
+      size: null,
+      previous: {
+        documents: row.documents_count,
+        indexes: row.indexes_count,
+        size: row.size_bytes
+      }
+    });
+  });
+  
+  return collections.sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Determine backup type based on a target's schedule
+ */
+function determineBackupType(target) {
+  const now = moment().tz(TIMEZONE);
+  const hour = now.hour();
+  const minute = now.minute();
+  const dayOfMonth = now.date();
+  const dayOfYear = now.dayOfYear();
+  
+  // Yearly backup (January 1st at midnight)
+  if (target.numberOfYearlyBackups > 0 && dayOfYear === 1 && hour === 0 && minute === 0) {
+    return 'yearly';
+  }
+  
+  // Monthly backup (1st of month at midnight)
+  if (target.numberOfMonthlyBackups > 0 && dayOfMonth === 1 && hour === 0 && minute === 0) {
+    return 'monthly';
+  }
+  
+  // Weekly backup (distributed throughout the week)
+  if (target.numberOfWeeklyBackups > 0) {
+    const backupsPerDay = target.numberOfWeeklyBackups / 7;
+    const hoursPerBackup = 24 / backupsPerDay;
+    
+    if (minute === 0 && hour % Math.round(hoursPerBackup) === 0) {
+      return 'weekly';
+    }
+  }
+  
+  return 'daily';
+}
+
+/**
+ * Check a retention policy. -1 keeps every period, 0 turns a rule off.
+ */
+function validateRetentionPolicy(policy) {
+  Object.keys(policy).forEach(rule => {
+    if (!RETENTION_RULES.includes(rule)) {
+      throw new Error(`Unknown retention rule "${rule}". Use ${RETENTION_RULES.join(', ')}`);
+    }
+    if (!Number.isInteger(policy[rule]) || policy[rule] < -1) {
+      throw new Error(`Retention rule ${rule} must be -1 (unlimited), 0 (off) or a positive number`);
+    }
+  });
+  
+  if (RETENTION_RULES.every(rule => !policy[rule])) {
+    throw new Error('A retention policy needs at least one rule that keeps backups');
+  }
+}
+
+/**
+ * Decide which backups a retention policy keeps. Backups must be sorted
+ * newest first. Returns a map of kept backup ids to the rules keeping them.
+ */
+function selectRetainedBackups(backups, policy) {
+  const reasons = new Map();
+  const keep = (backup, reason) => {
+    if (!reasons.has(backup.id)) {
+      reasons.set(backup.id, []);
+    }
+    reasons.get(backup.id).push(reason);
+  };
+  
+  // The newest backup and pinned ones are never pruned, whatever the policy says
+  if (backups.length > 0) {
+    keep(backups[0], 'newest');
+  }
+  backups.filter(backup => backup.pinned).forEach(backup => keep(backup, 'pinned'));
+  
+  const keepLast = policy.keepLast === -1 ? backups.length : policy.keepLast;
+  backups.slice(0, keepLast).forEach(backup => keep(backup, 'keepLast'));
+  
+  Object.entries(RETENTION_PERIODS).forEach(([rule, { unit, preferredType }]) => {
+    if (!policy[rule]) {
+      return;
+    }
+    
+    // Newest backup of each period, replaced by the newest one of the preferred type
+    const periods = new Map();
+    backups.forEach(backup => {
+      const period = moment(backup.timestamp).tz(TIMEZONE).startOf(unit).format();
+      const preferred = BACKUP_TYPES.indexOf(backup.type) >= BACKUP_TYPES.indexOf(preferredType);
+      const current = periods.get(period);
+      
+      if (!current) {
+        periods.set(period, { backup, preferred });
+      } else if (preferred && !current.preferred) {
+        periods.set(period, { backup, preferred });
+      }
+    });
+    
+    const selected = [...periods.values()];
+    selected.slice(0, policy[rule] === -1 ? selected.length : policy[rule]).forEach(({ backup }) => keep(backup, rule));
+  });
+  
+  return reasons;
+}
+
+/**
+ * Work out which successful backups of a target a policy keeps and which it
+ * prunes. With an upcoming backup ({type, timestamp}), the plan is the one
+ * that applies once that backup exists.
+ */
+async function planRetention(target, policy, upcomingBackup = null) {
+  const backups = await new Promise((resolve, reject) => {
+    db.all(`SELECT * FROM backups 
+            WHERE target = ? 
+            AND status = 'success' 
+            ORDER BY timestamp DESC`, [target.name], (err, rows) => {
+      if (err) {
+        reject(err);
+      } else {
+        resolve(rows);
+      }
+    });
+  });
+  
+  const reasons = selectRetainedBackups(upcomingBackup ? [{ id: null, ...upcomingBackup }, ...backups] : backups, policy);
+  
+  // Until the upcoming backup has succeeded, the newest existing one stays
+  if (upcomingBackup && backups.length > 0 && !reasons.has(backups[0].id)) {
+    reasons.set(backups[0].id, ['newest']);
+  }
+  
+  return {
+    keep: backups.filter(backup => reasons.has(backup.id)).map(backup => ({ backup, reasons: reasons.get(backup.id) })),
+    prune: backups.filter(backup => !reasons.has(backup.id))
+  };
+}
+
+/**
+ * Delete a backup's local files and remote copies
+ */
+async function removeBackupFiles(backup) {
+  const backupPath = getBackupDir(backup);
+  if (fs.existsSync(backupPath)) {
+    fs.rmSync(backupPath, { recursive: true, force: true });
+  }
+  
+  await removeBackupCopies(backup).catch(error => {
+    logger.error(`Error deleting remote copies of ${backup.folder_name}: ${error.message}`);
+  });
+}
+
+/**
+ * Delete a backup's files and remote copies and mark it as pruned
+ */
+async function pruneBackup(backup) {
+  await removeBackupFiles(backup);
+  
+  await new Promise((resolve, reject) => {
+    db.run(`UPDATE backups SET status = 'pruned', pruned_at = ? WHERE id = ?`, 
+           [moment().tz(TIMEZONE).format(), backup.id], (err) => err ? reject(err) : resolve());
+  });
+  logger.info(`Pruned ${backup.type} backup ${backup.folder_name} of ${backup.target}`);
+}
+
+/**
+ * Prune the backups of a target that no rule of its retention policy keeps
+ */
+async function cleanupOldBackups(target) {
+  try {
+    const plan = await planRetention(target, target.retention);
+    
+    for (const backup of plan.prune) {
+      await pruneBackup(backup);
+    }
+    
+    if (plan.prune.length > 0) {
+      logger.info(`Retention kept ${plan.keep.length} and pruned ${plan.prune.length} backup(s) of ${target.name}`);
+    }
+  } catch (error) {
+    logger.error(`Error during cleanup: ${error.message}`);
+  }
+}
+
+/**
+ * Work out what an unknown backup folder holds, so it can be imported as a
+ * backup row. Only folders whose manifest verifies are importable, which
+ * keeps partial dumps of interrupted runs out of the history.
+ */
+async function inspectBackupFolder(backupDir, folderName, fallbackDatabaseName) {
+  const files = listFilesRecursive(backupDir);
+  const encryptedFile = files.find(file => file.endsWith(ENCRYPTED_FILE_SUFFIX));
+  
+  let encryptionKeyId = null;
+  if (encryptedFile) {
+    encryptionKeyId = (await readEncryptionHeader(path.join(backupDir, encryptedFile))).header.keyId;
+    if (!isEncryptionKeyAvailable(encryptionKeyId)) {
+      return { importable: false, reason: `Encryption key "${encryptionKeyId}" is not available` };
+    }
+  }
+  
+  const verification = await verifyBackupFiles(backupDir);
+  if (verification.status === 'no_manifest') {
+    return { importable: false, reason: 'No SHA256SUMS manifest, may be a partial dump' };
+  }
+  if (verification.status !== 'verified') {
+    return { importable: false, reason: `Manifest does not match: ${verification.status} - ${verification.error}` };
+  }
+  
+  const plainFiles = files.map(file => file.endsWith(ENCRYPTED_FILE_SUFFIX) ? file.slice(0, -ENCRYPTED_FILE_SUFFIX.length) : file);
+  const format = Object.keys(ARCHIVE_FILE_NAMES).find(name => plainFiles.includes(ARCHIVE_FILE_NAMES[name])) || 'directory';
+  const nameMatch = folderName.match(FOLDER_NAME_PATTERN);
+  const databaseName = nameMatch ? nameMatch[2] : fallbackDatabaseName;
+  
+  // Statistics need the plaintext, so encrypted dumps only count their collections
+  let collections = [];
+  let uncompressedSize = null;
+  if (encryptedFile) {
+    collections = plainFiles.filter(file => file.endsWith('.bson')).map(file => ({ name: path.basename(file, '.bson'), documents: null, indexes: null }));
+  } else if (format === 'directory') {
+    collections = await collectCollectionStats(path.join(backupDir, databaseName), logger);
+  } else {
+    ({ collections, uncompressedSize } = await collectArchiveStats(path.join(backupDir, ARCHIVE_FILE_NAMES[format]), format, databaseName, logger));
+  }
+  
+  const timestamp = nameMatch ? moment(nameMatch[1], 'YYYYMMDD_HHmmss') : moment(fs.statSync(backupDir).mtime);
+  const backupSize = getDirectorySize(backupDir);
+  
+  return {
+    importable: true,
+    metadata: {
+      timestamp: timestamp.tz(TIMEZONE).format(),
+      folderName,
+      databaseName,
+      status: 'success',
+      duration: null,
+      collections: collections.length,
+      documents: collections.reduce((sum, collection) => sum + (collection.documents || 0), 0),
+      indexes: collections.reduce((sum, collection) => sum + (collection.indexes || 0), 0),
+      errorMessage: null,
+      backupSize,
+      encryptionKeyId,
+      verificationStatus: verification.status,
+      verifiedAt: moment().tz(TIMEZONE).format(),
+      format,
+      uncompressedSize: uncompressedSize || (format === 'directory' ? backupSize : null),
+      compressionRatio: uncompressedSize ? Math.round(uncompressedSize / backupSize * 100) / 100 : null
+    },
+    collections
+  };
+}
+
+/**
+ * Compare the backups table with the folders under BACKUP_PATH. Finds rows
+ * whose folder is gone (missing), folders without a row (orphaned), folders
+ * whose size differs from the row (size_mismatch) and folders left behind by
+ * failed, cancelled or pruned backups (leftover). With repair, missing rows
+ * are marked, importable orphans get a row, sizes are updated and leftover
+ * folders are deleted.
+ */
+async function reconcileBackups({ repair = false } = {}) {
+  if (isReconciliationRunning) {
+    const error = new Error('Reconciliation already in progress');
+    error.statusCode = 409;
+    throw error;
+  }
+  
+  isReconciliationRunning = true;
+  const startedAt = moment().tz(TIMEZONE).format();
+  
+  try {
+    const rows = await new Promise((resolve, reject) => {
+      db.all(`SELECT * FROM backups`, [], (err, rows) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(rows);
+        }
+      });
+    });
+    
+    const issues = [];
+    const runDb = (sql, params) => new Promise((resolve, reject) => {
+      db.run(sql, params, (err) => err ? reject(err) : resolve());
+    });
+    
+    for (const backup of rows) {
+      const backupDir = getBackupDir(backup);
+      const exists = fs.existsSync(backupDir);
+      const issue = { kind: null, target: backup.target, type: backup.type, folder_name: backup.folder_name, backup_id: backup.id, details: null, action: null };
+      
+      if (backup.status === 'success' && !exists) {
+        issue.kind = 'missing';
+        issue.details = 'Backup folder not found on disk';
+        if (repair) {
+          await runDb(`UPDATE backups SET status = 'missing', error_message = ? WHERE id = ?`,
+                      [`Folder not found on disk by reconciliation on ${startedAt}`, backup.id]);
+          issue.action = 'marked_missing';
+        }
+      } else if (backup.status === 'success') {
+        const size = getDirectorySize(backupDir);
+        if (size === backup.backup_size_bytes) {
+          continue;
+        }
+        issue.kind = 'size_mismatch';
+        issue.details = `Recorded ${backup.backup_size_bytes} bytes, ${size} bytes on disk`;
+        if (repair) {
+          await runDb(`UPDATE backups SET backup_size_bytes = ? WHERE id = ?`, [size, backup.id]);
+          issue.action = 'size_updated';
+        }
+      } else if (['failed', 'cancelled', 'aborted', 'pruned', 'deleted'].includes(backup.status) && exists) {
+        issue.kind = 'leftover';
+        issue.details = `Folder of a ${backup.status} backup is still on disk`;
+        if (repair) {
+          fs.rmSync(backupDir, { recursive: true, force: true });
+          issue.action = 'deleted';
+        }
+      } else {
+        continue;
+      }
+      
+      issues.push(issue);
+    }
+    
+    // Folders without a row, in every configured target and every target in the
+    // history. A backup has its running row before its folder is created, so
+    // the folder of a backup in progress, in this process or the CLI, is known.
+    const known = new Set(rows.map(backup => `${backup.target}/${backup.type}/${backup.folder_name}`));
+    const targetNames = [...new Set([...backupTargets.map(target => target.name), ...rows.map(backup => backup.target)])];
+    for (const targetName of targetNames) {
+      for (const type of BACKUP_TYPES) {
+        const typeDir = path.join(getTargetBackupPath(targetName), type);
+        if (!fs.existsSync(typeDir)) {
+          continue;
+        }
+        
+        const folders = fs.readdirSync(typeDir, { withFileTypes: true }).filter(entry => entry.isDirectory()).map(entry => entry.name);
+        for (const folderName of folders) {
+          if (known.has(`${targetName}/${type}/${folderName}`)) {
+            continue;
+          }
+          
+          const backupDir = path.join(typeDir, folderName);
+          const target = getTarget(targetName);
+          let inspection;
+          try {
+            inspection = await inspectBackupFolder(backupDir, folderName, target ? target.databaseName : folderName);
+          } catch (error) {
+            inspection = { importable: false, reason: error.message };
+          }
+          
+          const issue = {
+            kind: 'orphaned',
+            target: targetName,
+            type,
+            folder_name: folderName,
+            backup_id: null,
+            details: inspection.importable ? 'Folder has no row and can be imported' : inspection.reason,
+            importable: inspection.importable,
+            action: null
+          };
+          
+          if (repair && inspection.importable) {
+            issue.backup_id = await saveBackupMetadata({
+              ...inspection.metadata,
+              target: targetName,
+              type,
+              backupLogs: `[INFO] ${new Date().toISOString()}: Imported from ${backupDir} by reconciliation`
+            });
+            await saveCollectionStats(issue.backup_id, inspection.collections);
+            issue.action = 'imported';
+          }
+          
+          issues.push(issue);
+        }
+      }
+    }
+    
+    const counts = { missing: 0, orphaned: 0, size_mismatch: 0, leftover: 0 };
+    issues.forEach(issue => { counts[issue.kind]++; });
+    
+    lastReconciliation = {
+      started_at: startedAt,
+      finished_at: moment().tz(TIMEZONE).format(),
+      repair,
+      counts,
+      issues
+    };
+    
+    const summary = Object.entries(counts).map(([kind, count]) => `${count} ${kind}`).join(', ');
+    if (issues.length > 0) {
+      logger.warn(`Reconciliation${repair ? ' repaired' : ' found'}: ${summary}`);
+    } else {
+      logger.info('Reconciliation found the metadata database in sync with the disk');
+    }
+    
+    return lastReconciliation;
+  } finally {
+    isReconciliationRunning = false;
+  }
+}
+
+/**
+ * Get the size and free space of the filesystem holding a path
+ */
+function getDiskSpace(dirPath) {
+  const stats = fs.statfsSync(dirPath);
+  return {
+    totalBytes: stats.blocks * stats.bsize,
+    freeBytes: stats.bavail * stats.bsize
+  };
+}
+
+/**
+ * Estimate the size of a target's next backup from its largest recent
+ * backup, plus DISK_SPACE_MARGIN_PERCENT for growth. Returns 0 before the
+ * first backup.
+ */
+function estimateNextBackupSize(target) {
+  return new Promise((resolve, reject) => {
+    db.all(`SELECT backup_size_bytes FROM backups 
+            WHERE target = ? 
+            AND status IN ('success', 'pruned') 
+            ORDER BY timestamp DESC 
+            LIMIT ?`, [target.name, SIZE_ESTIMATE_SAMPLES], (err, rows) => {
+      if (err) {
+        reject(err);
+        return;
+      }
+      
+      const largest = Math.max(0, ...rows.map(row => row.backup_size_bytes || 0));
+      resolve(Math.ceil(largest * (1 + settings.diskSpaceMarginPercent / 100)));
+    });
+  });
+}
+
+/**
+ * Prune, oldest first, the backups retention will drop anyway once the next
+ * backup of a target exists, until enough space is free
+ */
+async function pruneForDiskSpace(target, backupType, requiredBytes, backupLogger) {
+  const backupPath = getTargetBackupPath(target.name);
+  const { prune } = await planRetention(target, target.retention, { type: backupType, timestamp: moment().tz(TIMEZONE).format() });
+  
+  let pruned = 0;
+  for (const backup of prune.reverse()) {
+    if (getDiskSpace(backupPath).freeBytes >= requiredBytes) {
+      break;
+    }
+    await pruneBackup(backup);
+    pruned++;
+  }
+  
+  backupLogger.info(`Pruned ${pruned} backup(s) of ${target.name} to free disk space`);
+  return pruned;
+}
+
+/**
+ * Make sure the next backup of a target fits on disk with MIN_FREE_DISK_MB to
+ * spare. Depending on LOW_DISK_SPACE_ACTION the backup is refused or backups
+ * retention would drop after it are pruned first.
+ */
+async function ensureDiskSpace(target, backupType, backupLogger) {
+  if (settings.lowDiskSpaceAction === 'ignore') {
+    return;
+  }
+  
+  const backupPath = getTargetBackupPath(target.name);
+  const estimatedBytes = await estimateNextBackupSize(target);
+  const requiredBytes = estimatedBytes + settings.minFreeDiskMb * 1024 * 1024;
+  const toMb = bytes => `${(bytes / 1024 / 1024).toFixed(2)}MB`;
+  
+  let { freeBytes } = getDiskSpace(backupPath);
+  if (freeBytes < requiredBytes && settings.lowDiskSpaceAction === 'prune') {
+    backupLogger.warn(`Only ${toMb(freeBytes)} free under ${backupPath}, ${toMb(requiredBytes)} needed. Pruning before the backup`);
+    await pruneForDiskSpace(target, backupType, requiredBytes, backupLogger);
+    ({ freeBytes } = getDiskSpace(backupPath));
+  }
+  
+  if (freeBytes < requiredBytes) {
+    throw new Error(`Not enough disk space under ${backupPath}: ${toMb(freeBytes)} free, ${toMb(requiredBytes)} needed ` +
+      `(estimated backup size ${toMb(estimatedBytes)} plus MIN_FREE_DISK_MB ${settings.minFreeDiskMb}MB)`);
+  }
+  
+  backupLogger.info(`Disk space check passed: ${toMb(freeBytes)} free, next backup estimated at ${toMb(estimatedBytes)}`);
+}
+
+/**
+ * Fit a line through the daily storage totals. Returns the growth in bytes per day.
+ */
+function calculateGrowthPerDay(points) {
+  if (points.length < 2) {
+    return 0;
+  }
+  
+  const meanX = points.reduce((sum, point, index) => sum + index, 0) / points.length;
+  const meanY = points.reduce((sum, point) => sum + point.size_bytes, 0) / points.length;
+  let numerator = 0;
+  let denominator = 0;
+  points.forEach((point, index) => {
+    numerator += (index - meanX) * (point.size_bytes - meanY);
+    denominator += (index - meanX) ** 2;
+  });
+  
+  return numerator / denominator;
+}
+
+/**
+ * Report disk usage, backup storage by type for a target, the daily storage
+ * trend of all targets and when the disk will be full at that rate
+ */
+async function getStorageReport(target) {
+  const rows = await new Promise((resolve, reject) => {
+    db.all(`SELECT target, type, status, timestamp, pruned_at, backup_size_bytes 
+            FROM backups 
+            WHERE status IN ('success', 'pruned')`, [], (err, rows) => {
+      if (err) {
+        reject(err);
+      } else {
+        resolve(rows);
+      }
+    });
+  });
+  
+  const disk = getDiskSpace(BACKUP_PATH);
+  const stored = rows.filter(row => row.status === 'success');
+  
+  const byType = BACKUP_TYPES.map(type => {
+    const backups = stored.filter(row => row.target === target.name && row.type === type);
+    return { type, backups: backups.length, size_bytes: backups.reduce((sum, row) => sum + (row.backup_size_bytes || 0), 0) };
+  });
+  
+  // Bytes held by backups at the end of each day, from the first day with a backup
+  const today = moment().tz(TIMEZONE).startOf('day');
+  const firstBackup = rows.reduce((first, row) => !first || row.timestamp < first ? row.timestamp : first, null);
+  const trend = [];
+  if (firstBackup) {
+    const start = moment.max(moment(firstBackup).tz(TIMEZONE).startOf('day'), today.clone().subtract(STORAGE_TREND_DAYS - 1, 'days'));
+    for (const day = start.clone(); !day.isAfter(today); day.add(1, 'day')) {
+      const endOfDay = day.clone().endOf('day');
+      const sizeBytes = rows
+        .filter(row => !moment(row.timestamp).isAfter(endOfDay) && (!row.pruned_at || moment(row.pruned_at).isAfter(endOfDay)))
+        .reduce((sum, row) => sum + (row.backup_size_bytes || 0), 0);
+      trend.push({ date: day.format('YYYY-MM-DD'), size_bytes: sizeBytes });
+    }
+  }
+  
+  const growthPerDay = calculateGrowthPerDay(trend);
+  const daysUntilFull = growthPerDay > 0 ? disk.freeBytes / growthPerDay : null;
+  
+  return {
+    target: target.name,
+    path: BACKUP_PATH,
+    total_bytes: disk.totalBytes,
+    free_bytes: disk.freeBytes,
+    used_bytes: disk.totalBytes - disk.freeBytes,
+    backups_bytes: stored.reduce((sum, row) => sum + (row.backup_size_bytes || 0), 0),
+    min_free_bytes: settings.minFreeDiskMb * 1024 * 1024,
+    low_disk_space_action: settings.lowDiskSpaceAction,
+    estimated_next_backup_bytes: await estimateNextBackupSize(target),
+    by_type: byType,
+    trend,
+    growth_bytes_per_day: Math.round(growthPerDay),
+    projected_full_date: daysUntilFull !== null ? today.clone().add(Math.floor(daysUntilFull), 'days').format('YYYY-MM-DD') : null
+  };
+}
+
+/**
+ * Delete a backup on request and mark it as deleted. Pinned backups and the
+ * backup being restored are refused.
+ */
+async function deleteBackup(backupId, deletedBy) {
+  const fail = (statusCode, message) => {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    throw error;
+  };
+  
+  const backup = await getBackupById(backupId);
+  if (!backup) {
+    fail(404, 'Backup not found');
+  }
+  
+  if (backup.status === 'deleted' || backup.status === 'pruned') {
+    fail(409, `Backup is already ${backup.status}`);
+  }
+  
+  if (backup.status === 'running') {
+    fail(409, 'Backup is still running');
+  }
+  
+  if (backup.pinned) {
+    fail(409, 'Backup is pinned. Unpin it before deleting it');
+  }
+  
+  if (isRestoreRunning && currentRestoreInfo && currentRestoreInfo.backupId === backup.id) {
+    fail(409, 'Backup is being restored');
+  }
+  
+  await removeBackupFiles(backup);
+  
+  await new Promise((resolve, reject) => {
+    db.run(`UPDATE backups SET status = 'deleted', deleted_at = ?, deleted_by = ? WHERE id = ?`, 
+           [moment().tz(TIMEZONE).format(), deletedBy, backup.id], (err) => err ? reject(err) : resolve());
+  });
+  logger.info(`Deleted ${backup.type} backup ${backup.folder_name} of ${backup.target} on request of ${deletedBy}`);
+  
+  return getBackupById(backup.id);
+}
+
+/**
+ * Pin or unpin a backup and change its label or notes. Fields left out keep
+ * their value; an empty label or notes clears it.
+ */
+async function annotateBackup(backupId, changes) {
+  const fail = (statusCode, message) => {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    throw error;
+  };
+  
+  const backup = await getBackupById(backupId);
+  if (!backup) {
+    fail(404, 'Backup not found');
+  }
+  
+  const updates = {};
+  
+  if (changes.pinned !== undefined) {
+    if (typeof changes.pinned !== 'boolean') {
+      fail(400, 'pinned must be true or false');
+    }
+    if (changes.pinned && backup.status !== 'success') {
+      fail(400, `Cannot pin a ${backup.status} backup`);
+    }
+    updates.pinned = changes.pinned ? 1 : 0;
+  }
+  
+  [['label', MAX_LABEL_LENGTH], ['notes', MAX_NOTES_LENGTH]].forEach(([field, maxLength]) => {
+    if (changes[field] === undefined) {
+      return;
+    }
+    if (changes[field] !== null && (typeof changes[field] !== 'string' || changes[field].length > maxLength)) {
+      fail(400, `${field[0].toUpperCase()}${field.slice(1)} must be a string of at most ${maxLength} characters`);
+    }
+    updates[field] = changes[field] ? changes[field].trim() || null : null;
+  });
+  
+  if (Object.keys(updates).length === 0) {
+    fail(400, 'Nothing to change. Send pinned, label or notes');
+  }
+  
+  await new Promise((resolve, reject) => {
+    db.run(`UPDATE backups SET ${Object.keys(updates).map(field => `${field} = ?`).join(', ')} WHERE id = ?`, 
+           [...Object.values(updates), backup.id], (err) => err ? reject(err) : resolve());
+  });
+  
+  return getBackupById(backup.id);
+}
+
+/**
+ * Search backups of every type by label and notes. Returns one page of
+ * matches, newest first, and the total number of matches.
+ */
+async function searchBackups({ text, target, type, status, pinned, limit = 20, offset = 0 }) {
+  const conditions = [];
+  const params = [];
+  
+  if (text) {
+    // The search text is matched literally, so % and _ need escaping
+    const pattern = `%${text.replace(/[\\%_]/g, match => `\\${match}`)}%`;
+    conditions.push(`(label LIKE ? ESCAPE '\\' OR notes LIKE ? ESCAPE '\\')`);
+    params.push(pattern, pattern);
+  }
+  if (target) {
+    conditions.push('target = ?');
+    params.push(target);
+  }
+  if (type) {
+    conditions.push('type = ?');
+    params.push(type);
+  }
+  if (status) {
+    conditions.push('status = ?');
+    params.push(status);
+  }
+  if (pinned) {
+    conditions.push('pinned = 1');
+  }
+  
+  const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+  const query = (sql, values) => new Promise((resolve, reject) => {
+    db.all(sql, values, (err, rows) => {
+      if (err) {
+        reject(err);
+      } else {
+        resolve(rows);
+      }
+    });
+  });
+  
+  const [{ total }] = await query(`SELECT COUNT(*) as total FROM backups ${where}`, params);
+  const backups = await query(`SELECT backups.*, 
+                                  (SELECT COUNT(*) FROM backup_copies 
+                                   WHERE backup_copies.backup_id = backups.id AND backup_copies.status = 'success') as remote_copies, 
+                                  (SELECT status FROM restore_drills 
+                                   WHERE restore_drills.backup_id = backups.id AND restore_drills.status != 'running' 
+                                   ORDER BY restore_drills.id DESC LIMIT 1) as drill_status, 
+                                  (SELECT finished_at FROM restore_drills 
+                                   WHERE restore_drills.backup_id = backups.id AND restore_drills.status != 'running' 
+                                   ORDER BY restore_drills.id DESC LIMIT 1) as drilled_at 
+                                FROM backups 
+                                ${where} 
+                                ORDER BY timestamp DESC 
+                                LIMIT ? OFFSET ?`, [...params, limit, offset]);
+  
+  return { total, backups };
+}
+
+/**
+ * Read the backup lock file. Returns null when no lock is held.
+ */
+function readBackupLock() {
+  const lockPath = path.join(BACKUP_PATH, LOCK_FILE_NAME);
+  
+  try {
+    const stat = fs.statSync(lockPath);
+    try {
+      return { ...JSON.parse(fs.readFileSync(lockPath, 'utf8')), modifiedAt: stat.mtimeMs };
+    } catch (error) {
+      // The holder may not have written its details yet
+      return { modifiedAt: stat.mtimeMs };
+    }
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Describe the holder of the backup lock for log and error messages
+ */
+function describeBackupLock(lock) {
+  return lock.pid
+    ? `process ${lock.pid} on ${lock.hostname} (${lock.owner}, since ${lock.acquiredAt})`
+    : 'an unknown process';
+}
+
+/**
+ * Check whether the process holding a lock is gone. The holder touches the
+ * lock file every LOCK_HEARTBEAT_SECONDS, so a lock without a heartbeat for
+ * LOCK_STALE_SECONDS is stale wherever its holder ran. On this host a holder
+ * that no longer runs is noticed right away.
+ */
+function isBackupLockStale(lock) {
+  if (!lock.pid) {
+    return Date.now() - lock.modifiedAt > LOCK_POLL_SECONDS * 1000;
+  }
+  
+  if (Date.now() - lock.modifiedAt > LOCK_STALE_SECONDS * 1000) {
+    return true;
+  }
+  
+  if (lock.hostname !== os.hostname()) {
+    return false;
+  }
+  
+  // A restarted container gets the same pid again
+  if (lock.pid === process.pid) {
+    return !heldBackupLock || heldBackupLock.token !== lock.token;
+  }
+  
+  try {
+    process.kill(lock.pid, 0);
+    return false;
+  } catch (error) {
+    return error.code === 'ESRCH';
+  }
+}
+
+/**
+ * Take the lock file that keeps the service and the CLI from running backups
+ * at the same time, taking over locks of processes that are gone. Waits for
+ * the lock unless wait is false, in which case it resolves with false.
+ */
+async function acquireBackupLock(owner, { wait = true, onWait = null } = {}) {
+  const lockPath = path.join(BACKUP_PATH, LOCK_FILE_NAME);
+  let isWaiting = false;
+  
+  while (true) {
+    const token = crypto.randomUUID();
+    try {
+      fs.writeFileSync(lockPath, JSON.stringify({
+        pid: process.pid,
+        hostname: os.hostname(),
+        owner,
+        token,
+        acquiredAt: moment().tz(TIMEZONE).format()
+      }), { flag: 'wx' });
+    } catch (error) {
+      if (error.code !== 'EEXIST') {
+        throw error;
+      }
+      
+      const lock = readBackupLock();
+      if (!lock) {
+        continue;
+      }
+      
+      if (isBackupLockStale(lock)) {
+        // Another process may have taken the stale lock over in the meantime
+        const current = readBackupLock();
+        if (current && current.token === lock.token && current.modifiedAt === lock.modifiedAt) {
+          logger.warn(`Removing stale backup lock of ${describeBackupLock(lock)}`);
+          fs.rmSync(lockPath, { force: true });
+        }
+        continue;
+      }
+      
+      if (!wait) {
+        return false;
+      }
+      
+      if (!isWaiting && onWait) {
+        onWait(`Waiting for the backup lock held by ${describeBackupLock(lock)}`);
+      }
+      isWaiting = true;
+      await new Promise(resolve => setTimeout(resolve, LOCK_POLL_SECONDS * 1000));
+      continue;
+    }
+    
+    // Keep the lock fresh so other processes can tell it is still held
+    const heartbeat = setInterval(() => {
+      try {
+        const lock = readBackupLock();
+        if (lock && lock.token === token) {
+          const now = new Date();
+          fs.utimesSync(lockPath, now, now);
+        } else {
+          logger.error(`The backup lock was taken over by ${lock ? describeBackupLock(lock) : 'nobody'} while this process held it`);
+        }
+      } catch (error) {
+        logger.error(`Could not refresh the backup lock: ${error.message}`);
+      }
+    }, LOCK_HEARTBEAT_SECONDS * 1000);
+    heartbeat.unref();
+    
+    heldBackupLock = { token, heartbeat };
+    return true;
+  }
+}
+
+/**
+ * Release the backup lock if this process holds it
+ */
+function releaseBackupLock() {
+  if (!heldBackupLock) {
+    return;
+  }
+  
+  const { token, heartbeat } = heldBackupLock;
+  heldBackupLock = null;
+  clearInterval(heartbeat);
+  
+  // The lock may have been taken over after this process stalled past LOCK_STALE_SECONDS
+  const lock = readBackupLock();
+  if (lock && lock.token === token) {
+    fs.rmSync(path.join(BACKUP_PATH, LOCK_FILE_NAME), { force: true });
+  }
+}
+
+/**
+ * Mark backups left running by a process that stopped mid-run (a crash, a
+ * restart, a killed CLI) as aborted and remove their partial folders. Only
+ * called while holding the backup lock, so none of them can still be running.
+ */
+async function recoverInterruptedBackups() {
+  const backups = await new Promise((resolve, reject) => {
+    db.all(`SELECT * FROM backups WHERE status = 'running' ORDER BY timestamp`, (err, rows) => {
+      if (err) {
+        reject(err);
+      } else {
+        resolve(rows);
+      }
+    });
+  });
+  
+  for (const backup of backups) {
+    const backupDir = getBackupDir(backup);
+    if (fs.existsSync(backupDir)) {
+      fs.rmSync(backupDir, { recursive: true, force: true });
+    }
+    
+    const message = 'Interrupted: the process running the backup stopped before it finished';
+    const logs = [backup.backup_logs, `[WARN] ${new Date().toISOString()}: ${message}, partial folder removed`].filter(Boolean).join('\n');
+    await new Promise((resolve, reject) => {
+      db.run(`UPDATE backups SET status = 'aborted', error_message = ?, backup_logs = ? WHERE id = ?`, 
+             [message, logs, backup.id], (err) => err ? reject(err) : resolve());
+    });
+    logger.warn(`Marked interrupted ${backup.type} backup ${backup.folder_name} of ${backup.target} as aborted and removed its partial folder`);
+  }
+  
+  return backups.length;
+}
+
+/**
+ * Check whether a target/type pair is already waiting or running
+ */
+function isBackupQueuedOrRunning(target, backupType) {
+  return (currentBackupInfo && currentBackupInfo.target === target.name && currentBackupInfo.type === backupType) ||
+    backupQueue.some(job => job.target.name === target.name && job.type === backupType);
+}
+
+/**
+ * Queue a backup for a target. Backups run one at a time so several targets
+ * never dump in parallel; a target/type pair that is already waiting or
+ * running is skipped.
+ */
+function queueBackup(target, backupType, options = {}) {
+  if (isBackupQueuedOrRunning(target, backupType)) {
+    logger.warn(`${backupType} backup for ${target.name} already queued or in progress, skipping this interval`);
+    return Promise.resolve();
+  }
+  
+  return new Promise((resolve) => {
+    backupQueue.push({ target, type: backupType, options, resolve });
+    processBackupQueue();
+  });
+}
+
+/**
+ * Cancel the running backup. A running mongodump is killed right away; a
+ * backup that is past the dump stops at its next step.
+ */
+function cancelCurrentBackup(requestedBy) {
+  if (!isBackupRunning || !currentBackupInfo) {
+    const error = new Error('No backup is running');
+    error.statusCode = 409;
+    throw error;
+  }
+  
+  currentBackupInfo.cancelRequested = true;
+  currentBackupInfo.cancelledBy = requestedBy;
+  currentBackupInfo.status = 'cancelling';
+  logger.warn(`Cancelling ${currentBackupInfo.type} backup of ${currentBackupInfo.target} (requested by ${requestedBy})`);
+  
+  if (currentBackupProcess) {
+    currentBackupProcess.kill('SIGTERM');
+  }
+  
+  return currentBackupInfo;
+}
+
+/**
+ * Run queued backups one after another
+ */
+async function processBackupQueue() {
+  if (isBackupRunning || backupQueue.length === 0) {
+    return;
+  }
+  
+  const job = backupQueue.shift();
+  try {
+    await performBackup(job.target, job.type, job.options);
+  } catch (error) {
+    // performBackup records its own failures, so this is only reached when that fails too
+    logger.error(`Error running ${job.type} backup of ${job.target.name}: ${error.message}`);
+  } finally {
+    job.resolve();
+    processBackupQueue();
+  }
+}
+
+/**
+ * Wait for a child process to exit, resolving with its stderr output
+ */
+function waitForProcess(child, name, onStderrLine = null) {
+  let stderr = '';
+  if (onStderrLine) {
+    // Lines the handler consumes, like progress bars, are left out of stderr
+    readline.createInterface({ input: child.stderr }).on('line', line => {
+      if (!onStderrLine(line)) {
+        stderr += `${line}\n`;
+      }
+    });
+  } else {
+    child.stderr.on('data', data => { stderr += data; });
+  }
+  
+  return new Promise((resolve, reject) => {
+    child.on('error', reject);
+    child.on('close', (code, signal) => {
+      if (code === 0) {
+        resolve(stderr);
+        return;
+      }
+      const reason = signal ? `was killed by ${signal}` : `exited with code ${code}`;
+      reject(new Error(`${name} ${reason}${stderr.trim() ? `: ${stderr.trim()}` : ''}`));
+    });
+  });
+}
+
+/**
+ * Kill a mongodump that runs longer than MONGODUMP_TIMEOUT_MINUTES, with
+ * SIGKILL if it ignores SIGTERM
+ */
+function startDumpTimeout(child) {
+  const timeout = { expired: false, timer: null };
+  
+  if (settings.mongodumpTimeoutMinutes > 0) {
+    timeout.timer = setTimeout(() => {
+      timeout.expired = true;
+      child.kill('SIGTERM');
+      setTimeout(() => {
+        if (child.exitCode === null && child.signalCode === null) {
+          child.kill('SIGKILL');
+        }
+      }, DUMP_KILL_GRACE_SECONDS * 1000).unref();
+    }, settings.mongodumpTimeoutMinutes * 60 * 1000);
+  }
+  
+  return timeout;
+}
+
+/**
+ * Replace the error of a dump killed by its timeout with one that says so
+ */
+function timeoutError(timeout, error) {
+  return timeout.expired
+    ? new Error(`mongodump timed out after ${settings.mongodumpTimeoutMinutes} minutes and was killed`)
+    : error;
+}
+
+/**
+ * Tell transient mongodump failures (network blips, elections, timeouts),
+ * which are worth retrying, from permanent ones
+ */
+function classifyDumpError(message) {
+  const permanent = PERMANENT_DUMP_ERRORS.find(({ pattern }) => pattern.test(message));
+  if (permanent) {
+    return { transient: false, reason: permanent.reason };
+  }
+  
+  const transient = TRANSIENT_DUMP_ERRORS.find(({ pattern }) => pattern.test(message));
+  return transient ? { transient: true, reason: transient.reason } : { transient: false, reason: 'unknown error' };
+}
+
+/**
+ * Seconds to wait before retry number attempt (1 for the first retry):
+ * RETRY_DELAY_SECONDS, doubled for every retry, at most RETRY_MAX_DELAY_SECONDS
+ */
+function getRetryDelay(attempt) {
+  return Math.min(settings.retryDelaySeconds * 2 ** (attempt - 1), settings.retryMaxDelaySeconds);
+}
+
+/**
+ * Stream a mongodump archive through zstd into archivePath
+ */
+async function dumpToZstdArchive(mongodumpArgs, archivePath, onOutputLine = trackMongodumpProgress) {
+  const dump = spawn('mongodump', [...mongodumpArgs, '--archive'], { stdio: ['ignore', 'pipe', 'pipe'] });
+  const compressor = spawn('zstd', ['-q', '-f', '-o', archivePath], { stdio: ['pipe', 'ignore', 'pipe'] });
+  currentBackupProcess = dump;
+  const timeout = startDumpTimeout(dump);
+  
+  // A failing zstd closes its stdin; the exit code reports the real problem
+  compressor.stdin.on('error', () => {});
+  dump.stdout.pipe(compressor.stdin);
+  
+  try {
+    const [stderr] = await Promise.all([waitForProcess(dump, 'mongodump', onOutputLine), waitForProcess(compressor, 'zstd')]);
+    return { stdout: '', stderr };
+  } catch (error) {
+    throw timeoutError(timeout, error);
+  } finally {
+    clearTimeout(timeout.timer);
+    currentBackupProcess = null;
+  }
+}
+
+/**
+ * Run mongodump without a shell so cancelling kills mongodump itself. Its
+ * progress output is streamed into the current backup's progress.
+ */
+async function runMongodump(mongodumpArgs, onOutputLine = trackMongodumpProgress) {
+  const dump = spawn('mongodump', mongodumpArgs, { stdio: ['ignore', 'pipe', 'pipe'] });
+  currentBackupProcess = dump;
+  const timeout = startDumpTimeout(dump);
+  
+  let stdout = '';
+  dump.stdout.on('data', data => { stdout += data; });
+  
+  try {
+    const stderr = await waitForProcess(dump, 'mongodump', onOutputLine);
+    return { stdout, stderr };
+  } catch (error) {
+    throw timeoutError(timeout, error);
+  } finally {
+    clearTimeout(timeout.timer);
+    currentBackupProcess = null;
+  }
+}
+
+/**
+ * Parse a mongodump output line: a progress bar
+ * ("[####....]  shop.users  101/3000  (3.4%)"), the start of a collection or
+ * the end of one. Returns null for other lines.
+ */
+function parseMongodumpProgress(line) {
+  let match = line.match(/\[[#.]+\]\s+(\S+)\s+(\d+)\/(\d+)\s+\([\d.]+%\)/);
+  if (match) {
+    return { collection: match[1], done: parseInt(match[2], 10), total: parseInt(match[3], 10), finished: false, bar: true };
+  }
+  
+  match = line.match(/writing (\S+) to /);
+  if (match) {
+    return { collection: match[1], done: 0, total: null, finished: false, bar: false };
+  }
+  
+  match = line.match(/done dumping (\S+) \((\d+) documents?\)/);
+  if (match) {
+    const documents = parseInt(match[2], 10);
+    return { collection: match[1], done: documents, total: documents, finished: true, bar: false };
+  }
+  
+  return null;
+}
+
+/**
+ * Record a mongodump output line in the progress of the current backup.
+ * Returns true for progress bar lines, which are left out of the output.
+ */
+function trackMongodumpProgress(line) {
+  const progress = parseMongodumpProgress(line);
+  if (!progress || !currentBackupInfo) {
+    return false;
+  }
+  
+  const previous = currentBackupInfo.progress[progress.collection] || {};
+  currentBackupInfo.progress[progress.collection] = {
+    done: progress.done,
+    total: progress.total ?? previous.total ?? null,
+    finished: progress.finished
+  };
+  
+  backupEvents.emit('progress', {
+    target: currentBackupInfo.target,
+    type: currentBackupInfo.type,
+    collection: progress.collection,
+    progress: currentBackupInfo.progress
+  });
+  
+  return progress.bar;
+}
+
+/**
+ * Check whether a collection name matches a pattern, where * stands for any
+ * run of characters and ? for a single character
+ */
+function matchesCollectionPattern(name, pattern) {
+  const expression = pattern.split('').map(character => {
+    if (character === '*') {
+      return '.*';
+    }
+    if (character === '?') {
+      return '.';
+    }
+    return character.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+  }).join('');
+  
+  return new RegExp(`^${expression}$`).test(name);
+}
+
+/**
+ * Check whether a collection passes include and exclude patterns. An empty
+ * include list includes everything.
+ */
+function isCollectionSelected(name, includePatterns, excludePatterns) {
+  const included = includePatterns.length === 0 || includePatterns.some(pattern => matchesCollectionPattern(name, pattern));
+  return included && !excludePatterns.some(pattern => matchesCollectionPattern(name, pattern));
+}
+
+function hasCollectionFilters(target) {
+  return target.includeCollections.length > 0 || target.excludeCollections.length > 0 ||
+    Object.keys(target.collectionQueries).length > 0;
+}
+
+/**
+ * Turn {"$daysAgo": n} placeholders in a query into Extended JSON dates, so a
+ * configured query can select e.g. the last 90 days on every run
+ */
+function resolveCollectionQuery(value, now) {
+  if (Array.isArray(value)) {
+    return value.map(item => resolveCollectionQuery(item, now));
+  }
+  
+  if (value && typeof value === 'object') {
+    if (Object.keys(value).length === 1 && '$daysAgo' in value) {
+      if (typeof value.$daysAgo !== 'number' || !Number.isFinite(value.$daysAgo)) {
+        throw new Error('$daysAgo must be a number of days');
+      }
+      return { $date: new Date(now - value.$daysAgo * 24 * 60 * 60 * 1000).toISOString() };
+    }
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, resolveCollectionQuery(item, now)]));
+  }
+  
+  return value;
+}
+
+/**
+ * Resolve the collection filters of a target against the collections that
+ * currently exist. The result is stored with the backup.
+ */
+async function resolveCollectionFilters(target) {
+  const client = new MongoClient(target.connectionString);
+  let names;
+  
+  try {
+    await client.connect();
+    const collections = await client.db(target.databaseName).listCollections({}, { nameOnly: true }).toArray();
+    names = collections.map(collection => collection.name).filter(name => !name.startsWith('system.')).sort();
+  } finally {
+    await client.close();
+  }
+  
+  const selected = names.filter(name => isCollectionSelected(name, target.includeCollections, target.excludeCollections));
+  if (selected.length === 0) {
+    throw new Error('No collections match the include and exclude filters');
+  }
+  
+  const now = Date.now();
+  const queries = {};
+  selected.forEach(name => {
+    const pattern = Object.keys(target.collectionQueries).find(pattern => matchesCollectionPattern(name, pattern));
+    if (pattern) {
+      queries[name] = resolveCollectionQuery(target.collectionQueries[pattern], now);
+    }
+  });
+  
+  return {
+    include: target.includeCollections,
+    exclude: target.excludeCollections,
+    skipped: names.filter(name => !selected.includes(name)),
+    queries
+  };
+}
+
+/**
+ * Turn a hook setting into a list of hooks. A hook is a shell command string,
+ * or an object with either a command or a Node module path and an optional
+ * name and timeoutSeconds.
+ */
+function normalizeHooks(value, defaultTimeoutSeconds) {
+  if (value === undefined || value === null) {
+    return [];
+  }
+  
+  return (Array.isArray(value) ? value : [value]).map(hook => {
+    if (typeof hook === 'string') {
+      hook = { command: hook };
+    }
+    
+    if (!hook || typeof hook !== 'object' || Array.isArray(hook)) {
+      throw new Error('a hook must be a command or an object with a command or module');
+    }
+    
+    const hasCommand = typeof hook.command === 'string' && hook.command.trim() !== '';
+    const hasModule = typeof hook.module === 'string' && hook.module.trim() !== '';
+    if (hasCommand === hasModule) {
+      throw new Error('a hook needs either a command or a module');
+    }
+    
+    const timeoutSeconds = hook.timeoutSeconds ?? defaultTimeoutSeconds;
+    if (!Number.isInteger(timeoutSeconds) || timeoutSeconds < 1) {
+      throw new Error('timeoutSeconds must be a whole number of at least 1');
+    }
+    
+    return {
+      name: hook.name || (hook.module ? path.basename(hook.module) : hook.command.trim().split(/\s+/)[0]),
+      ...(hook.module ? { module: hook.module } : { command: hook.command }),
+      timeoutSeconds
+    };
+  });
+}
+
+/**
+ * Pass the hook context as MONGO_BACKUP_* variables, e.g. sizeBytes becomes
+ * MONGO_BACKUP_SIZE_BYTES
+ */
+function buildHookEnvironment(context) {
+  return Object.fromEntries(Object.entries(context).map(([key, value]) => [
+    `MONGO_BACKUP_${key.replace(/[A-Z]/g, '_$&').toUpperCase()}`,
+    value === null || value === undefined ? '' : String(value)
+  ]));
+}
+
+/**
+ * Run a shell command hook with the context on stdin and in its environment.
+ * The hook gets its own process group so a timeout also stops what it started.
+ */
+function runCommandHook(hook, context) {
+  return new Promise((resolve, reject) => {
+    const child = spawn('/bin/sh', ['-c', hook.command], {
+      env: { ...process.env, ...buildHookEnvironment(context) },
+      detached: true
+    });
+    
+    let output = '';
+    let timedOut = false;
+    const collect = chunk => {
+      if (output.length < HOOK_OUTPUT_LIMIT) {
+        output += chunk.toString();
+      }
+    };
+    child.stdout.on('data', collect);
+    child.stderr.on('data', collect);
+    
+    const timer = setTimeout(() => {
+      timedOut = true;
+      try {
+        process.kill(-child.pid, 'SIGKILL');
+      } catch (error) {
+        // Already exited
+      }
+    }, hook.timeoutSeconds * 1000);
+    
+    child.on('error', (error) => {
+      clearTimeout(timer);
+      reject(error);
+    });
+    
+    child.on('close', (code) => {
+      clearTimeout(timer);
+      if (timedOut || code !== 0) {
+        const error = new Error(timedOut ? `timed out after ${hook.timeoutSeconds} seconds` : `exited with code ${code}`);
+        error.output = output;
+        reject(error);
+        return;
+      }
+      resolve(output);
+    });
+    
+    // Hooks that do not read stdin close it early
+    child.stdin.on('error', () => {});
+    child.stdin.end(JSON.stringify(context));
+  });
+}
+
+/**
+ * Run a Node module hook. The module exports a function, or one function per
+ * phase (preBackup, postSuccess, postFailure), called with the context and a
+ * log function whose lines end up in the backup log.
+ */
+async function runModuleHook(hook, phase, context) {
+  const loaded = require(path.resolve(hook.module));
+  const handler = typeof loaded === 'function' ? loaded : loaded[phase];
+  
+  if (typeof handler !== 'function') {
+    return '';
+  }
+  
+  const lines = [];
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`timed out after ${hook.timeoutSeconds} seconds`)), hook.timeoutSeconds * 1000);
+  });
+  
+  try {
+    await Promise.race([Promise.resolve().then(() => handler({ ...context }, line => lines.push(String(line)))), timeout]);
+    return lines.join('\n');
+  } catch (error) {
+    error.output = lines.join('\n');
+    throw error;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Run the hooks of a target for one phase, one after another, with their
+ * output in the backup log. The first failing hook throws.
+ */
+async function runBackupHooks(target, phase, context, backupLogger) {
+  for (const hook of target.hooks[phase]) {
+    backupLogger.info(`Running ${HOOK_EVENTS[phase]} hook ${hook.name}`);
+    
+    try {
+      const output = hook.module ? await runModuleHook(hook, phase, context) : await runCommandHook(hook, context);
+      if (output.trim()) {
+        backupLogger.info(`Hook ${hook.name} output: ${output.trim()}`);
+      }
+    } catch (error) {
+      if (error.output && error.output.trim()) {
+        backupLogger.warn(`Hook ${hook.name} output: ${error.output.trim()}`);
+      }
+      throw new Error(`${HOOK_EVENTS[phase]} hook ${hook.name} failed: ${error.message}`);
+    }
+  }
+}
+
+/**
+ * Perform MongoDB backup of a target using mongodump. Takes the backup lock
+ * for the run unless options.lockHeld says the caller already holds it.
+ */
+async function performBackup(target, backupType = null, options = {}) {
+  if (isBackupRunning) {
+    logger.warn('Backup already in progress, skipping this interval');
+    return;
+  }
+
+  // Determine backup type if not specified
+  if (!backupType) {
+    backupType = determineBackupType(target);
+  }
+
+  isBackupRunning = true;
+  const startTime = Date.now();
+  const timestamp = moment().tz(TIMEZONE).format();
+  const backupLogs = [];
+  currentBackupLogs = backupLogs;
+  
+  // Stored with the backup and streamed to the dashboard
+  const recordLine = (level, msg) => {
+    const line = `[${level}] ${new Date().toISOString()}: ${msg}`;
+    backupLogs.push(line);
+    backupEvents.emit('log', { target: target.name, type: backupType, level: level.toLowerCase(), line });
+  };
+  
+  // Custom logger for this backup
+  const backupLogger = {
+    info: (msg) => {
+      logger.info(msg);
+      recordLine('INFO', msg);
+    },
+    warn: (msg) => {
+      logger.warn(msg);
+      recordLine('WARN', msg);
+    },
+    error: (msg) => {
+      logger.error(msg);
+      recordLine('ERROR', msg);
+    }
+  };
+  
+  // Sent to the dashboard once the run is over
+  const finishedEvent = { target: target.name, type: backupType, status: 'failed', backupId: null, error: null };
+  
+  // Kept outside the try block so a cancelled run can remove its partial folder
+  // and a failed one records the folder it actually wrote to
+  let backupDir = null;
+  let backupFolderName = null;
+  let backupRowId = null;
+  
+  // Passed to hooks as JSON on stdin and as MONGO_BACKUP_* variables
+  const hookContext = (phase, fields) => ({
+    event: HOOK_EVENTS[phase],
+    target: target.name,
+    type: backupType,
+    database: target.databaseName,
+    connectionString: target.connectionString,
+    folder: backupDir,
+    label: options.label || null,
+    startedAt: timestamp,
+    status: 'running',
+    sizeBytes: null,
+    error: null,
+    backupId: null,
+    ...fields
+  });
+  
+  // A run that failed before its running row was written gets a row of its own
+  const saveUnsuccessfulRun = (status, duration, errorMessage) => backupRowId
+    ? finishBackupRow(backupRowId, { status, duration, errorMessage, backupLogs: backupLogs.join('\n') })
+    : saveBackupMetadata({
+      timestamp,
+      target: target.name,
+      type: backupType,
+      folderName: backupFolderName,
+      databaseName: target.databaseName,
+      status,
+      duration,
+      collections: 0,
+      documents: 0,
+      indexes: 0,
+      errorMessage,
+      backupSize: 0,
+      label: options.label,
+      format: target.format,
+      backupLogs: backupLogs.join('\n')
+    });
+  
+  // The CLI takes the lock itself before it starts a backup
+  const ownsLock = !options.lockHeld;
+  
+  // Stop between steps once the run has been cancelled
+  const throwIfCancelled = () => {
+    if (currentBackupInfo && currentBackupInfo.cancelRequested) {
+      throw new Error('Backup was cancelled');
+    }
+  };
+  
+  try {
+    backupLogger.info(`Starting ${backupType} MongoDB backup of ${target.name}...`);
+    if (options.label) {
+      backupLogger.info(`On-demand backup requested by ${options.requestedBy || 'unknown'} with label "${options.label}"`);
+    } else if (options.requestedBy) {
+      backupLogger.info(`On-demand backup requested by ${options.requestedBy}`);
+    }
+    
+    // Another process (the CLI or a second instance) may be running a backup
+    if (ownsLock) {
+      await acquireBackupLock(`${backupType} backup of ${target.name}`, { onWait: backupLogger.warn });
+    }
+    
+    const dbName = target.databaseName;
+    backupFolderName = generateBackupFolderName(dbName);
+    backupDir = path.join(getTargetBackupPath(target.name), backupType, backupFolderName);
+    
+    // Rows left running by a process that died cannot be running while this one holds the lock
+    await recoverInterruptedBackups();
+    
+    // Recorded before anything is written, so a crash mid-run leaves a row for recovery to find
+    backupRowId = await saveBackupMetadata({
+      timestamp,
+      target: target.name,
+      type: backupType,
+      folderName: backupFolderName,
+      databaseName: dbName,
+      status: 'running',
+      duration: null,
+      collections: null,
+      documents: null,
+      indexes: null,
+      errorMessage: null,
+      backupSize: null,
+      label: options.label,
+      format: target.format,
+      backupLogs: backupLogs.join('\n')
+    });
+    
+    // Set current backup info for web UI
+    currentBackupInfo = {
+      target: target.name,
+      type: backupType,
+      folderName: backupFolderName,
+      label: options.label || null,
+      startTime: timestamp,
+      status: 'running',
+      progress: {}
+    };
+    backupEvents.emit('backup-started', currentBackupInfo);
+    
+    // Refuse to start a dump that would fill the disk halfway through
+    await ensureDiskSpace(target, backupType, backupLogger);
+    
+    // Create backup directory
+    fs.mkdirSync(backupDir, { recursive: true });
+    backupLogger.info(`Created backup directory: ${backupDir}`);
+    
+    // A failing pre-backup hook aborts the backup
+    await runBackupHooks(target, 'preBackup', hookContext('preBackup'), backupLogger);
+    throwIfCancelled();
+    
+    // Build mongodump arguments with production-safe options
+    const mongodumpArgs = [
+      `--uri=${target.connectionString}`,
+      '--readPreference=secondaryPreferred',
+      '--numParallelCollections=1'
+    ];
+    
+    const archivePath = target.format === 'directory' ? null : path.join(backupDir, ARCHIVE_FILE_NAMES[target.format]);
+    if (target.format === 'gzip') {
+      mongodumpArgs.push(`--archive=${archivePath}`, '--gzip');
+    } else if (target.format === 'directory') {
+      mongodumpArgs.push(`--out=${backupDir}`);
+    }
+    
+    // Remember where the oplog stood, so a point-in-time restore knows which entries to replay
+    const readOplogPosition = async () => {
+      try {
+        return await getLatestOplogTimestamp(target);
+      } catch (error) {
+        backupLogger.warn(`Could not read the oplog position: ${redactConnectionString(error.message)}`);
+        return null;
+      }
+    };
+    // Filters are resolved to collection names, since mongodump has no wildcard options
+    let collectionFilters = null;
+    if (hasCollectionFilters(target)) {
+      collectionFilters = await resolveCollectionFilters(target);
+      const { skipped, queries } = collectionFilters;
+      backupLogger.info(`Collection filters skip ${skipped.length} collection(s)${skipped.length > 0 ? `: ${skipped.join(', ')}` : ''}`);
+      
+      // Queried collections are left out here and dumped one by one below
+      [...skipped, ...Object.keys(queries)].forEach(name => mongodumpArgs.push(`--excludeCollection=${name}`));
+    }
+    
+    const oplogStartTs = target.oplogCapture ? await readOplogPosition() : null;
+    
+    backupLogger.info(`Executing ${backupType} backup command (${target.format} format)`);
+    
+    // mongodump reports its progress on stderr; all but the progress bars go to the log as they arrive
+    const logDumpOutput = (line) => {
+      if (trackMongodumpProgress(line)) {
+        return true;
+      }
+      if (line.trim()) {
+        backupLogger.info(`mongodump: ${line.trim()}`);
+      }
+      return false;
+    };
+    
+    const runDump = async () => {
+      let { stdout } = target.format === 'zstd'
+        ? await dumpToZstdArchive(mongodumpArgs, archivePath, logDumpOutput)
+        : await runMongodump(mongodumpArgs, logDumpOutput);
+      throwIfCancelled();
+      
+      for (const [name, query] of Object.entries(collectionFilters ? collectionFilters.queries : {})) {
+        backupLogger.info(`Dumping ${name} with query ${JSON.stringify(query)}`);
+        const output = await runMongodump([
+          `--uri=${target.connectionString}`,
+          '--readPreference=secondaryPreferred',
+          `--collection=${name}`,
+          `--query=${JSON.stringify(query)}`,
+          `--out=${backupDir}`
+        ], logDumpOutput);
+        stdout += output.stdout;
+        throwIfCancelled();
+      }
+      
+      return stdout;
+    };
+    
+    // Transient failures are retried with exponential backoff, each attempt starting from an empty folder
+    const maxAttempts = settings.backupRetries + 1;
+    let stdout;
+    for (let attempt = 1; ; attempt++) {
+      backupLogger.info(`Dump attempt ${attempt} of ${maxAttempts}`);
+      try {
+        stdout = await runDump();
+        break;
+      } catch (error) {
+        throwIfCancelled();
+        
+        const { transient, reason } = classifyDumpError(error.message);
+        if (!transient || attempt >= maxAttempts) {
+          backupLogger.error(`Dump attempt ${attempt} of ${maxAttempts} failed with a ${transient ? 'transient' : 'permanent'} error (${reason})${transient ? ', no retries left' : ', not retrying'}`);
+          throw error;
+        }
+        
+        const delay = getRetryDelay(attempt);
+        backupLogger.warn(`Dump attempt ${attempt} of ${maxAttempts} failed with a transient error (${reason}), retrying in ${delay} seconds: ${error.message}`);
+        
+        fs.rmSync(backupDir, { recursive: true, force: true });
+        fs.mkdirSync(backupDir, { recursive: true });
+        currentBackupInfo.progress = {};
+        
+        // Waits in short steps so a cancel does not have to sit out the delay
+        const retryAt = Date.now() + delay * 1000;
+        while (Date.now() < retryAt && !currentBackupInfo.cancelRequested) {
+          await new Promise(resolve => setTimeout(resolve, Math.min(1000, retryAt - Date.now())));
+        }
+        throwIfCancelled();
+      }
+    }
+    
+    const oplogEndTs = oplogStartTs ? await readOplogPosition() : null;
+    if (oplogStartTs && oplogEndTs) {
+      backupLogger.info(`Dump covers oplog positions ${oplogStartTs} to ${oplogEndTs}`);
+    }
+    
+    if (stdout) {
+      backupLogger.info(`Backup stdout: ${stdout}`);
+    }
+    
+    const duration = Math.round((Date.now() - startTime) / 1000);
+    
+    // Gather per-collection statistics from the dumped files
+    let collectionStats;
+    let uncompressedSize;
+    let compressionRatio = 1;
+    if (archivePath) {
+      ({ collections: collectionStats, uncompressedSize } = await collectArchiveStats(archivePath, target.format, dbName, backupLogger));
+      const archiveSize = fs.statSync(archivePath).size;
+      compressionRatio = archiveSize > 0 ? Math.round(uncompressedSize / archiveSize * 100) / 100 : 1;
+      backupLogger.info(`Archive compressed ${(uncompressedSize / 1024 / 1024).toFixed(2)}MB to ${(archiveSize / 1024 / 1024).toFixed(2)}MB (ratio ${compressionRatio})`);
+    } else {
+      collectionStats = await collectCollectionStats(path.join(backupDir, dbName), backupLogger);
+      uncompressedSize = getDirectorySize(backupDir);
+    }
+    const actualCollections = collectionStats.length;
+    const totalDocuments = collectionStats.reduce((sum, collection) => sum + (collection.documents || 0), 0);
+    const totalIndexes = collectionStats.reduce((sum, collection) => sum + (collection.indexes || 0), 0);
+    backupLogger.info(`Backed up ${actualCollections} collections with ${totalDocuments} documents and ${totalIndexes} indexes`);
+    
+    // Checksum the plaintext dump so verification also covers decryption
+    const manifestFiles = await writeBackupManifest(backupDir);
+    backupLogger.info(`Wrote SHA-256 manifest for ${manifestFiles} files`);
+    
+    // Encrypt the dump before it is measured or copied anywhere
+    const encryptionKeyId = encryptionKeys ? encryptionKeys.activeKeyId : null;
+    if (encryptionKeyId) {
+      backupLogger.info(`Encrypting backup with key ${encryptionKeyId}`);
+      await encryptBackupDir(backupDir);
+    }
+    
+    throwIfCancelled();
+    
+    // Read everything back once to prove the stored files are usable
+    const verification = await verifyBackupFiles(backupDir);
+    if (verification.status === 'verified') {
+      backupLogger.info('Backup verified against its manifest');
+    } else {
+      backupLogger.error(`Backup verification failed: ${verification.status} - ${verification.error}`);
+    }
+    
+    const backupSize = getDirectorySize(backupDir);
+    
+    // Last chance to cancel before anything leaves this machine
+    throwIfCancelled();
+    
+    // Ship a copy to each remote storage backend
+    const copies = await replicateBackup(backupDir, `${target.name}/${backupType}/${backupFolderName}`, backupLogger);
+    
+    const previousFailures = await countFailuresSinceLastSuccess(target.name);
+    
+    // Save metadata
+    const backupId = await saveBackupMetadata({
+      id: backupRowId,
+      timestamp,
+      target: target.name,
+      type: backupType,
+      folderName: backupFolderName,
+      databaseName: dbName,
+      status: 'success',
+      duration,
+      collections: actualCollections,
+      documents: totalDocuments,
+      indexes: totalIndexes,
+      errorMessage: null,
+      backupSize,
+      encryptionKeyId,
+      verificationStatus: verification.status,
+      verificationError: verification.error,
+      verifiedAt: moment().tz(TIMEZONE).format(),
+      label: options.label,
+      format: target.format,
+      uncompressedSize,
+      compressionRatio,
+      oplogStartTs: oplogEndTs ? oplogStartTs : null,
+      oplogEndTs,
+      collectionFilters,
+      backupLogs: backupLogs.join('\n')
+    });
+    
+    finishedEvent.status = 'success';
+    finishedEvent.backupId = backupId;
+    
+    // The backup is saved as successful from here on, so errors are only logged
+    // and never turn it into a failed one whose folder reconciliation deletes
+    try {
+      await saveCollectionStats(backupId, collectionStats);
+      
+      for (const copy of copies) {
+        await saveBackupCopy({ backupId, ...copy });
+      }
+      
+      backupLogger.info(`${backupType} backup completed successfully in ${duration} seconds. Collections: ${actualCollections}, Size: ${(backupSize / 1024 / 1024).toFixed(2)}MB`);
+      
+      // A failing hook is only logged as well
+      if (target.hooks.postSuccess.length > 0) {
+        await runBackupHooks(target, 'postSuccess', hookContext('postSuccess', { status: 'success', sizeBytes: backupSize, backupId }), backupLogger)
+          .catch(hookError => backupLogger.error(hookError.message));
+        await updateBackupLogs(backupId, backupLogs.join('\n'));
+      }
+      
+      staleTargets.delete(target.name);
+      if (previousFailures > 0) {
+        notify('recovery', {
+          target: target.name,
+          type: backupType,
+          database: dbName,
+          failures: previousFailures,
+          backupId
+        });
+      }
+      
+      // Prune backups the retention policy no longer keeps
+      await cleanupOldBackups(target);
+      
+      // Start a fresh oplog segment for this backup and drop segments no backup needs anymore
+      if (target.oplogCapture) {
+        requestOplogRotation(target.name);
+        await pruneOplogSegments(target).catch(error => {
+          logger.error(`Error pruning oplog segments of ${target.name}: ${error.message}`);
+        });
+      }
+    } catch (error) {
+      backupLogger.error(`${backupType} backup was saved, but finishing it failed: ${error.message}`);
+      await updateBackupLogs(backupId, backupLogs.join('\n')).catch(logError => {
+        logger.error(`Error saving the log of backup ${backupId}: ${logError.message}`);
+      });
+    }
+    
+  } catch (error) {
+    const duration = Math.round((Date.now() - startTime) / 1000);
+    
+    if (currentBackupInfo && currentBackupInfo.cancelRequested) {
+      backupLogger.warn(`${backupType} backup cancelled by ${currentBackupInfo.cancelledBy} after ${duration} seconds`);
+      
+      finishedEvent.status = 'cancelled';
+      finishedEvent.error = `Cancelled by ${currentBackupInfo.cancelledBy}`;
+      
+      await runBackupHooks(target, 'postFailure', hookContext('postFailure', { status: 'cancelled', error: finishedEvent.error }), backupLogger)
+        .catch(hookError => backupLogger.error(hookError.message));
+      
+      if (backupDir && fs.existsSync(backupDir)) {
+        fs.rmSync(backupDir, { recursive: true, force: true });
+        backupLogger.info(`Removed partial backup folder ${backupDir}`);
+      }
+      
+      await saveUnsuccessfulRun('cancelled', duration, `Cancelled by ${currentBackupInfo.cancelledBy}`);
+      return;
+    }
+    
+    backupLogger.error(`${backupType} backup failed after ${duration} seconds: ${error.message}`);
+    finishedEvent.error = redactConnectionString(error.message);
+    
+    await runBackupHooks(target, 'postFailure', hookContext('postFailure', { status: 'failed', error: redactConnectionString(error.message) }), backupLogger)
+      .catch(hookError => backupLogger.error(hookError.message));
+    
+    if (backupDir && fs.existsSync(backupDir)) {
+      fs.rmSync(backupDir, { recursive: true, force: true });
+      backupLogger.info(`Removed partial backup folder ${backupDir}`);
+    }
+    
+    // Save failure metadata
+    await saveUnsuccessfulRun('failed', duration, error.message);
+    
+    notify('failure', {
+      target: target.name,
+      type: backupType,
+      database: target.databaseName,
+      error: redactConnectionString(error.message)
+    });
+  } finally {
+    if (ownsLock) {
+      releaseBackupLock();
+    }
+    isBackupRunning = false;
+    currentBackupInfo = null;
+    currentBackupProcess = null;
+    currentBackupLogs = [];
+    backupEvents.emit('backup-finished', finishedEvent);
+  }
+}
+
+/**
+ * Check if backups are needed for each type of a target and queue them
+ */
+async function checkAndCreateMissingBackups(target) {
   const now = moment().tz(TIMEZONE);
   
-  // Check for missing weekly backup
-  if (NUMBER_OF_WEEKLY_BACKUPS > 0) {
-    const weekStart = now.clone().startOf('week');
+  // Check for missing weekly backup
+  if (target.schedules.weekly !== 'off') {
+    const weekStart = now.clone().startOf('week');
+    
+    const weeklyResult = await new Promise((resolve) => {
+      db.get(`SELECT COUNT(*) as count FROM backups 
+              WHERE target = ? 
+              AND type = 'weekly' 
+              AND status = 'success' 
+              AND datetime(timestamp) >= datetime(?)`, 
+              [target.name, weekStart.format()], (err, row) => {
+        resolve(!err && row.count === 0);
+      });
+    });
+    
+    if (weeklyResult) {
+      logger.info(`No weekly backup of ${target.name} found for this week, creating one now...`);
+      queueBackupOutsideBlackout(target, 'weekly');
+    }
+  }
+  
+  // Check for missing monthly backup
+  if (target.schedules.monthly !== 'off') {
+    const monthStart = now.clone().startOf('month');
+    
+    const monthlyResult = await new Promise((resolve) => {
+      db.get(`SELECT COUNT(*) as count FROM backups 
+              WHERE target = ? 
+              AND type = 'monthly' 
+              AND status = 'success' 
+              AND datetime(timestamp) >= datetime(?)`, 
+              [target.name, monthStart.format()], (err, row) => {
+        resolve(!err && row.count === 0);
+      });
+    });
+    
+    if (monthlyResult) {
+      logger.info(`No monthly backup of ${target.name} found for this month, creating one now...`);
+      queueBackupOutsideBlackout(target, 'monthly');
+    }
+  }
+  
+  // Check for missing yearly backup
+  if (target.schedules.yearly !== 'off') {
+    const yearStart = now.clone().startOf('year');
+    
+    const yearlyResult = await new Promise((resolve) => {
+      db.get(`SELECT COUNT(*) as count FROM backups 
+              WHERE target = ? 
+              AND type = 'yearly' 
+              AND status = 'success' 
+              AND datetime(timestamp) >= datetime(?)`, 
+              [target.name, yearStart.format()], (err, row) => {
+        resolve(!err && row.count === 0);
+      });
+    });
+    
+    if (yearlyResult) {
+      logger.info(`No yearly backup of ${target.name} found for this year, creating one now...`);
+      queueBackupOutsideBlackout(target, 'yearly');
+    }
+  }
+}
+
+/**
+ * Get a single backup row by id
+ */
+function getBackupById(backupId) {
+  return new Promise((resolve, reject) => {
+    db.get(`SELECT * FROM backups WHERE id = ?`, [backupId], (err, row) => {
+      if (err) {
+        reject(err);
+      } else {
+        resolve(row);
+      }
+    });
+  });
+}
+
+/**
+ * List the collections contained in a backup. Archives are not opened again;
+ * their collections were recorded when the backup was taken.
+ */
+async function listBackupCollections(backup) {
+  if (backup.format && backup.format !== 'directory') {
+    const collections = await getCollectionStats(backup.id);
+    return collections.map(collection => collection.collection_name);
+  }
+  
+  const dbDir = path.join(getBackupDir(backup), backup.database_name);
+  
+  if (!fs.existsSync(dbDir)) {
+    return [];
+  }
+  
+  return fs.readdirSync(dbDir)
+    .map(file => file.endsWith(ENCRYPTED_FILE_SUFFIX) ? file.slice(0, -ENCRYPTED_FILE_SUFFIX.length) : file)
+    .filter(file => file.endsWith('.bson'))
+    .map(file => file.slice(0, -'.bson'.length))
+    .sort();
+}
+
+/**
+ * Check a database or collection name before it is handed to mongorestore
+ */
+function isValidNamespacePart(name, isDatabase) {
+  if (typeof name !== 'string' || name.length === 0 || name.startsWith('$')) {
+    return false;
+  }
+  
+  return isDatabase ? !/[\/\\. "$*<>:|?]/.test(name) : !/[\0*]/.test(name);
+}
+
+/**
+ * Create a restore history row
+ */
+function saveRestoreRecord(record) {
+  return new Promise((resolve, reject) => {
+    db.run(`INSERT INTO restores 
+      (backup_id, started_at, target_uri, source_database, target_database, collections, drop_existing, point_in_time, status)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`, [
+      record.backupId,
+      record.startedAt,
+      record.targetUri,
+      record.sourceDatabase,
+      record.targetDatabase,
+      record.collections.length > 0 ? record.collections.join(',') : null,
+      record.drop ? 1 : 0,
+      record.pointInTime || null,
+      'running'
+    ], function(err) {
+      if (err) {
+        reject(err);
+      } else {
+        resolve(this.lastID);
+      }
+    });
+  });
+}
+
+/**
+ * Record the outcome of a restore run
+ */
+function finishRestoreRecord(restoreId, result) {
+  return new Promise((resolve, reject) => {
+    db.run(`UPDATE restores 
+            SET finished_at = ?, status = ?, duration_seconds = ?, error_message = ?, restore_logs = ? 
+            WHERE id = ?`, [
+      result.finishedAt,
+      result.status,
+      result.duration,
+      result.errorMessage,
+      result.restoreLogs || '',
+      restoreId
+    ], (err) => {
+      if (err) {
+        reject(err);
+      } else {
+        resolve();
+      }
+    });
+  });
+}
+
+/**
+ * Validate a restore request and start mongorestore in the background.
+ * Resolves with the id of the new restore row.
+ */
+async function startRestore(backupId, options = {}) {
+  const fail = (statusCode, message) => {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    throw error;
+  };
+  
+  if (isRestoreRunning) {
+    fail(409, 'A restore is already in progress');
+  }
+  
+  const backup = await getBackupById(backupId);
+  if (!backup) {
+    fail(404, 'Backup not found');
+  }
+  
+  if (backup.status !== 'success') {
+    fail(400, 'Cannot restore failed backup');
+  }
+  
+  const backupDir = getBackupDir(backup);
+  if (!fs.existsSync(backupDir)) {
+    fail(404, 'Backup files not found on disk');
+  }
+  
+  if (backup.encryption_key_id && !isEncryptionKeyAvailable(backup.encryption_key_id)) {
+    fail(400, `Encryption key "${backup.encryption_key_id}" is not available`);
+  }
+  
+  // Restore into the backup's own target unless another one is given
+  const sourceTarget = getTarget(backup.target);
+  const targetUri = options.targetUri || (sourceTarget && sourceTarget.connectionString);
+  if (!targetUri) {
+    fail(400, `Target "${backup.target}" is no longer configured, a target connection string is required`);
+  }
+  
+  let targetUrl;
+  try {
+    targetUrl = new URL(targetUri);
+  } catch (error) {
+    fail(400, 'Invalid target connection string');
+  }
+  if (!['mongodb:', 'mongodb+srv:'].includes(targetUrl.protocol)) {
+    fail(400, 'Target connection string must start with mongodb:// or mongodb+srv://');
+  }
+  
+  const sourceDatabase = backup.database_name;
+  const targetDatabase = options.targetDatabase || targetUrl.pathname.substring(1) || sourceDatabase;
+  if (!isValidNamespacePart(targetDatabase, true)) {
+    fail(400, `Invalid target database name: ${targetDatabase}`);
+  }
+  
+  const availableCollections = await listBackupCollections(backup);
+  const collections = Array.isArray(options.collections) ? options.collections : [];
+  for (const collection of collections) {
+    if (!isValidNamespacePart(collection, false) || !availableCollections.includes(collection)) {
+      fail(400, `Collection not found in backup: ${collection}`);
+    }
+  }
+  
+  // Rolling forward replays the captured oplog of the whole source database on top of the dump
+  let pointInTime = null;
+  if (options.pointInTime) {
+    const requested = moment(options.pointInTime, moment.ISO_8601, true);
+    if (!requested.isValid()) {
+      fail(400, 'pointInTime must be an ISO 8601 date and time');
+    }
+    if (collections.length > 0 || targetDatabase !== sourceDatabase) {
+      fail(400, 'A point-in-time restore replays the whole database, so it cannot select collections or rename the database');
+    }
+    
+    const window = await getRecoveryWindow(backup);
+    if (!window) {
+      fail(400, 'No continuous oplog has been captured for this backup');
+    }
+    if (requested.isBefore(window.from) || requested.isAfter(window.until)) {
+      fail(400, `pointInTime must be between ${window.from} and ${window.until}`);
+    }
+    pointInTime = requested.tz(TIMEZONE).format();
+  }
+  
+  isRestoreRunning = true;
+  
+  try {
+    const startedAt = moment().tz(TIMEZONE).format();
+    const restoreId = await saveRestoreRecord({
+      backupId: backup.id,
+      startedAt,
+      targetUri: redactConnectionString(targetUri),
+      sourceDatabase,
+      targetDatabase,
+      collections,
+      drop: !!options.drop,
+      pointInTime
+    });
+    
+    // Set current restore info for web UI
+    currentRestoreInfo = {
+      id: restoreId,
+      backupId: backup.id,
+      backupType: backup.type,
+      folderName: backup.folder_name,
+      targetDatabase,
+      startTime: startedAt,
+      status: 'running'
+    };
+    
+    const finished = performRestore(restoreId, backup, {
+      targetUri,
+      sourceDatabase,
+      targetDatabase,
+      collections,
+      drop: !!options.drop,
+      pointInTime
+    });
+    
+    return { restoreId, finished };
+  } catch (error) {
+    isRestoreRunning = false;
+    currentRestoreInfo = null;
+    throw error;
+  }
+}
+
+/**
+ * Run mongorestore with the given arguments
+ */
+function runMongorestore(args) {
+  return new Promise((resolve, reject) => {
+    execFile('mongorestore', args, { maxBuffer: 1024 * 1024 * 10 }, (error, stdout, stderr) => {
+      if (error) {
+        // The default message repeats the command line, which contains credentials
+        const reason = typeof error.code === 'number' ? `mongorestore exited with code ${error.code}` : error.message;
+        reject(new Error(stderr ? `${reason}: ${stderr.trim()}` : reason));
+        return;
+      }
+      resolve({ stdout, stderr });
+    });
+  });
+}
+
+/**
+ * Decompress a zstd archive straight into mongorestore's stdin
+ */
+async function restoreFromZstdArchive(args, archivePath) {
+  const child = spawn('mongorestore', args, { stdio: ['pipe', 'ignore', 'pipe'] });
+  const restoreDone = waitForProcess(child, 'mongorestore');
+  const feedDone = pipeline(openArchiveStream(archivePath, 'zstd'), child.stdin);
+  
+  // Prefer mongorestore's own error over the broken pipe it causes
+  const [restoreResult, feedResult] = await Promise.allSettled([restoreDone, feedDone]);
+  if (restoreResult.status === 'rejected') {
+    throw restoreResult.reason;
+  }
+  if (feedResult.status === 'rejected') {
+    throw feedResult.reason;
+  }
+  
+  return { stdout: '', stderr: restoreResult.value };
+}
+
+/**
+ * Run mongorestore for a backup with the given target and namespace options.
+ * Encrypted backups are decrypted into a scratch folder named workName first.
+ */
+async function restoreBackupInto(backup, options, workName, restoreLogger) {
+  let backupDir = getBackupDir(backup);
+  let decryptedDir = null;
+  
+  try {
+    // mongorestore needs plaintext files, so encrypted backups are decrypted into a scratch folder first
+    if (backup.encryption_key_id) {
+      decryptedDir = path.join(TEMP_PATH, workName);
+      restoreLogger.info(`Decrypting backup with key ${backup.encryption_key_id}`);
+      await decryptBackupDir(backupDir, decryptedDir);
+      backupDir = decryptedDir;
+    }
+    
+    // Arguments are passed without a shell since the target comes from the API
+    const format = backup.format || 'directory';
+    const args = [
+      `--uri=${buildServerConnectionString(options.targetUri)}`,
+      '--numParallelCollections=1'
+    ];
+    
+    if (format === 'gzip') {
+      args.push(`--archive=${path.join(backupDir, ARCHIVE_FILE_NAMES.gzip)}`, '--gzip');
+    } else if (format === 'zstd') {
+      args.push('--archive');
+    } else {
+      args.push(`--dir=${backupDir}`);
+    }
+    
+    if (options.collections.length > 0) {
+      options.collections.forEach(collection => {
+        args.push(`--nsInclude=${options.sourceDatabase}.${collection}`);
+      });
+      restoreLogger.info(`Restoring collections: ${options.collections.join(', ')}`);
+    } else {
+      args.push(`--nsInclude=${options.sourceDatabase}.*`);
+    }
+    
+    if (options.targetDatabase !== options.sourceDatabase) {
+      args.push(`--nsFrom=${options.sourceDatabase}.*`);
+      args.push(`--nsTo=${options.targetDatabase}.*`);
+      restoreLogger.info(`Renaming database ${options.sourceDatabase} to ${options.targetDatabase}`);
+    }
+    
+    if (options.drop) {
+      args.push('--drop');
+      restoreLogger.info('Existing collections will be dropped before restoring');
+    }
+    
+    restoreLogger.info(`Executing mongorestore (${format} format)`);
+    
+    const { stdout, stderr } = format === 'zstd'
+      ? await restoreFromZstdArchive(args, path.join(backupDir, ARCHIVE_FILE_NAMES.zstd))
+      : await runMongorestore(args);
+    
+    // mongorestore reports its progress on stderr
+    if (stderr) {
+      restoreLogger.info(`Restore output: ${stderr}`);
+    }
+    
+    if (stdout) {
+      restoreLogger.info(`Restore stdout: ${stdout}`);
+    }
+  } finally {
+    if (decryptedDir) {
+      fs.rmSync(decryptedDir, { recursive: true, force: true });
+    }
+  }
+}
+
+/**
+ * Restore a backup into the target database using mongorestore
+ */
+async function performRestore(restoreId, backup, options) {
+  const startTime = Date.now();
+  const restoreLogs = [];
+  
+  // Custom logger for this restore
+  const restoreLogger = {
+    info: (msg) => {
+      logger.info(msg);
+      restoreLogs.push(`[INFO] ${new Date().toISOString()}: ${msg}`);
+    },
+    warn: (msg) => {
+      logger.warn(msg);
+      restoreLogs.push(`[WARN] ${new Date().toISOString()}: ${msg}`);
+    },
+    error: (msg) => {
+      logger.error(msg);
+      restoreLogs.push(`[ERROR] ${new Date().toISOString()}: ${msg}`);
+    }
+  };
+  
+  let replayDir = null;
+  
+  try {
+    restoreLogger.info(`Starting restore of ${backup.type} backup ${backup.folder_name} into database ${options.targetDatabase}`);
+    restoreLogger.info(`Target: ${redactConnectionString(options.targetUri)}`);
+    
+    await restoreBackupInto(backup, options, `restore_${restoreId}`, restoreLogger);
+    
+    // Roll the restored dump forward with the captured oplog
+    if (options.pointInTime) {
+      replayDir = path.join(TEMP_PATH, `oplog_${restoreId}`);
+      const untilSeconds = moment(options.pointInTime).unix();
+      const replay = await writeOplogReplayFile(backup, untilSeconds, path.join(replayDir, 'oplog.bson'));
+      restoreLogger.info(`Replaying ${replay.entries} oplog entries up to ${options.pointInTime}${replay.lastTs ? ` (last entry ${replay.lastTs})` : ''}`);
+      
+      const replayResult = await runMongorestore([
+        `--uri=${buildServerConnectionString(options.targetUri)}`,
+        '--oplogReplay',
+        `--dir=${replayDir}`
+      ]);
+      if (replayResult.stderr) {
+        restoreLogger.info(`Oplog replay output: ${replayResult.stderr}`);
+      }
+    }
+    
+    const duration = Math.round((Date.now() - startTime) / 1000);
+    restoreLogger.info(`Restore completed successfully in ${duration} seconds`);
+    
+    await finishRestoreRecord(restoreId, {
+      finishedAt: moment().tz(TIMEZONE).format(),
+      status: 'success',
+      duration,
+      errorMessage: null,
+      restoreLogs: restoreLogs.join('\n')
+    });
+    
+    return { restoreId, status: 'success', duration, error: null };
+  } catch (error) {
+    const duration = Math.round((Date.now() - startTime) / 1000);
+    restoreLogger.error(`Restore failed after ${duration} seconds: ${error.message}`);
+    
+    try {
+      await finishRestoreRecord(restoreId, {
+        finishedAt: moment().tz(TIMEZONE).format(),
+        status: 'failed',
+        duration,
+        errorMessage: error.message,
+        restoreLogs: restoreLogs.join('\n')
+      });
+    } catch (dbError) {
+      logger.error(`Could not save restore result: ${dbError.message}`);
+    }
+    
+    return { restoreId, status: 'failed', duration, error: error.message };
+  } finally {
+    if (replayDir) {
+      fs.rmSync(replayDir, { recursive: true, force: true });
+    }
+    isRestoreRunning = false;
+    currentRestoreInfo = null;
+  }
+}
+
+/**
+ * Check RESTORE_DRILL_QUERIES: a list of {collection, filter, minCount,
+ * maxCount, target, name}. Returns an error message or null.
+ */
+function validateDrillQueries(queries) {
+  if (!Array.isArray(queries)) {
+    return 'must be a JSON array';
+  }
+  
+  for (const [index, query] of queries.entries()) {
+    const label = `query ${index + 1}`;
+    if (!query || typeof query !== 'object' || Array.isArray(query)) {
+      return `${label} must be an object`;
+    }
+    if (typeof query.collection !== 'string' || !isValidNamespacePart(query.collection, false)) {
+      return `${label} needs a valid collection name`;
+    }
+    if (query.filter !== undefined && (!query.filter || typeof query.filter !== 'object' || Array.isArray(query.filter))) {
+      return `${label} filter must be an object`;
+    }
+    for (const field of ['minCount', 'maxCount']) {
+      if (query[field] !== undefined && (!Number.isInteger(query[field]) || query[field] < 0)) {
+        return `${label} ${field} must be a whole number of at least 0`;
+      }
+    }
+  }
+  
+  return null;
+}
+
+/**
+ * Pick the backup of a target a restore drill tests: its latest or a random
+ * successful backup that is on disk and can be decrypted
+ */
+async function selectDrillBackup(target, selection) {
+  const backups = await new Promise((resolve, reject) => {
+    db.all(`SELECT * FROM backups 
+            WHERE target = ? 
+            AND status = 'success' 
+            ORDER BY timestamp DESC`, [target.name], (err, rows) => {
+      if (err) {
+        reject(err);
+      } else {
+        resolve(rows);
+      }
+    });
+  });
+  
+  const candidates = backups.filter(backup => fs.existsSync(getBackupDir(backup)) &&
+    (!backup.encryption_key_id || isEncryptionKeyAvailable(backup.encryption_key_id)));
+  
+  if (candidates.length === 0) {
+    return null;
+  }
+  return selection === 'random' ? candidates[Math.floor(Math.random() * candidates.length)] : candidates[0];
+}
+
+/**
+ * Compare the restored scratch database with the backup's collection
+ * statistics and run the validation queries of the target
+ */
+async function runDrillChecks(backup, database, drillLogger) {
+  const checks = [];
+  const record = (name, passed, details) => {
+    checks.push({ name, passed, details });
+    (passed ? drillLogger.info : drillLogger.error)(`Check ${name}: ${passed ? 'passed' : 'failed'} - ${details}`);
+  };
+  
+  const restored = new Set((await database.listCollections({}, { nameOnly: true }).toArray()).map(collection => collection.name));
+  const expected = await getCollectionStats(backup.id);
+  
+  if (expected.length === 0) {
+    record('collections', restored.size > 0, `${restored.size} collection(s) restored, the backup has no collection statistics`);
+  }
+  
+  for (const collection of expected) {
+    const name = `count ${collection.collection_name}`;
+    if (!restored.has(collection.collection_name)) {
+      record(name, false, 'Collection is missing after the restore');
+      continue;
+    }
+    
+    const count = await database.collection(collection.collection_name).countDocuments();
+    if (collection.documents_count === null) {
+      record(name, true, `${count} documents, the backup did not record a count`);
+    } else {
+      record(name, count === collection.documents_count, `${count} documents restored, ${collection.documents_count} in the backup`);
+    }
+  }
+  
+  const queries = settings.restoreDrillQueries.filter(query => !query.target || query.target === backup.target);
+  for (const query of queries) {
+    const name = query.name || `query ${query.collection} ${JSON.stringify(query.filter || {})}`;
+    const count = await database.collection(query.collection).countDocuments(query.filter || {});
+    const minCount = query.minCount === undefined ? 1 : query.minCount;
+    const tooMany = query.maxCount !== undefined && count > query.maxCount;
+    record(name, count >= minCount && !tooMany,
+      `${count} matching documents, expected at least ${minCount}${query.maxCount !== undefined ? ` and at most ${query.maxCount}` : ''}`);
+  }
+  
+  return checks;
+}
+
+/**
+ * Record the outcome of a restore drill
+ */
+function finishDrillRecord(drillId, result) {
+  return new Promise((resolve, reject) => {
+    db.run(`UPDATE restore_drills 
+            SET finished_at = ?, status = ?, duration_seconds = ?, checks = ?, error_message = ?, drill_logs = ? 
+            WHERE id = ?`, [
+      result.finishedAt,
+      result.status,
+      result.duration,
+      JSON.stringify(result.checks),
+      result.errorMessage,
+      result.drillLogs,
+      drillId
+    ], (err) => err ? reject(err) : resolve());
+  });
+}
+
+/**
+ * Start a restore drill of a target's backup, the given one or the one
+ * RESTORE_DRILL_SELECTION picks. Drills share the restore slot, so they never
+ * run next to a real restore. Resolves with the id of the drill row and a
+ * promise of its outcome.
+ */
+async function startRestoreDrill(target, options = {}) {
+  const fail = (statusCode, message) => {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    throw error;
+  };
+  
+  if (!settings.restoreDrillConnectionString) {
+    fail(400, 'RESTORE_DRILL_CONNECTION_STRING is not set');
+  }
+  
+  if (isRestoreRunning) {
+    fail(409, 'A restore is already in progress');
+  }
+  
+  let backup;
+  if (options.backupId) {
+    backup = await getBackupById(options.backupId);
+    if (!backup || backup.target !== target.name) {
+      fail(404, 'Backup not found');
+    }
+    if (backup.status !== 'success' || !fs.existsSync(getBackupDir(backup))) {
+      fail(400, 'Only successful backups that are on disk can be tested');
+    }
+    if (backup.encryption_key_id && !isEncryptionKeyAvailable(backup.encryption_key_id)) {
+      fail(400, `Encryption key "${backup.encryption_key_id}" is not available`);
+    }
+  } else {
+    backup = await selectDrillBackup(target, settings.restoreDrillSelection);
+    if (!backup) {
+      fail(404, `Target ${target.name} has no backup that can be tested`);
+    }
+  }
+  
+  isRestoreRunning = true;
+  
+  try {
+    const startedAt = moment().tz(TIMEZONE).format();
+    const scratchDatabase = `drill_${backup.id}_${moment().format('YYYYMMDDHHmmss')}`;
+    
+    const drillId = await new Promise((resolve, reject) => {
+      db.run(`INSERT INTO restore_drills (backup_id, target, started_at, scratch_database, status, requested_by) 
+              VALUES (?, ?, ?, ?, 'running', ?)`,
+             [backup.id, target.name, startedAt, scratchDatabase, options.requestedBy || 'schedule'], function(err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(this.lastID);
+        }
+      });
+    });
+    
+    // Set current restore info for web UI
+    currentRestoreInfo = {
+      id: null,
+      drillId,
+      backupId: backup.id,
+      backupType: backup.type,
+      folderName: backup.folder_name,
+      targetDatabase: scratchDatabase,
+      startTime: startedAt,
+      status: 'running'
+    };
+    
+    return { drillId, finished: performRestoreDrill(drillId, backup, scratchDatabase) };
+  } catch (error) {
+    isRestoreRunning = false;
+    currentRestoreInfo = null;
+    throw error;
+  }
+}
+
+/**
+ * Restore a backup into a scratch database, check it and drop it again
+ */
+async function performRestoreDrill(drillId, backup, scratchDatabase) {
+  const startTime = Date.now();
+  const drillLogs = [];
+  
+  // Custom logger for this drill
+  const drillLogger = {
+    info: (msg) => {
+      logger.info(msg);
+      drillLogs.push(`[INFO] ${new Date().toISOString()}: ${msg}`);
+    },
+    warn: (msg) => {
+      logger.warn(msg);
+      drillLogs.push(`[WARN] ${new Date().toISOString()}: ${msg}`);
+    },
+    error: (msg) => {
+      logger.error(msg);
+      drillLogs.push(`[ERROR] ${new Date().toISOString()}: ${msg}`);
+    }
+  };
+  
+  const uri = settings.restoreDrillConnectionString;
+  const client = new MongoClient(uri);
+  let status = 'error';
+  let checks = [];
+  let errorMessage = null;
+  
+  try {
+    drillLogger.info(`Starting restore drill of ${backup.type} backup ${backup.folder_name} of ${backup.target} into ${scratchDatabase}`);
+    drillLogger.info(`Drill server: ${redactConnectionString(uri)}`);
+    
+    await restoreBackupInto(backup, {
+      targetUri: uri,
+      sourceDatabase: backup.database_name,
+      targetDatabase: scratchDatabase,
+      collections: [],
+      drop: true
+    }, `drill_${drillId}`, drillLogger);
+    
+    await client.connect();
+    checks = await runDrillChecks(backup, client.db(scratchDatabase), drillLogger);
+    
+    const failed = checks.filter(check => !check.passed);
+    status = failed.length === 0 ? 'passed' : 'failed';
+    errorMessage = failed.length === 0 ? null : `${failed.length} of ${checks.length} check(s) failed: ${failed.map(check => check.name).join(', ')}`;
+  } catch (error) {
+    errorMessage = redactConnectionString(error.message);
+    drillLogger.error(`Restore drill failed: ${errorMessage}`);
+  } finally {
+    // The scratch database is dropped whatever happened, so drills never pile up
+    try {
+      await client.connect();
+      await client.db(scratchDatabase).dropDatabase();
+      drillLogger.info(`Dropped scratch database ${scratchDatabase}`);
+    } catch (error) {
+      drillLogger.warn(`Could not drop scratch database ${scratchDatabase}: ${redactConnectionString(error.message)}`);
+    }
+    await client.close().catch(() => {});
+    
+    isRestoreRunning = false;
+    currentRestoreInfo = null;
+  }
+  
+  const duration = Math.round((Date.now() - startTime) / 1000);
+  drillLogger.info(`Restore drill ${status} in ${duration} seconds`);
+  
+  try {
+    await finishDrillRecord(drillId, {
+      finishedAt: moment().tz(TIMEZONE).format(),
+      status,
+      duration,
+      checks,
+      errorMessage,
+      drillLogs: drillLogs.join('\n')
+    });
+  } catch (dbError) {
+    logger.error(`Could not save restore drill result: ${dbError.message}`);
+  }
+  
+  if (status !== 'passed') {
+    notify('drill', {
+      target: backup.target,
+      type: backup.type,
+      database: backup.database_name,
+      folder: backup.folder_name,
+      backupId: backup.id,
+      status,
+      error: errorMessage
+    });
+  }
+  
+  return { drillId, status, checks, error: errorMessage };
+}
+
+/**
+ * Run a restore drill for every target, one after the other
+ */
+async function runRestoreDrills(targets) {
+  for (const target of targets) {
+    try {
+      const { finished } = await startRestoreDrill(target);
+      await finished;
+    } catch (error) {
+      logger.error(`Could not run restore drill of ${target.name}: ${error.message}`);
+    }
+  }
+}
+
+/**
+ * Format an oplog timestamp as "seconds:increment"
+ */
+function formatOplogTimestamp(ts) {
+  return `${ts.t}:${ts.i}`;
+}
+
+/**
+ * Turn a "seconds:increment" string back into a BSON timestamp
+ */
+function parseOplogTimestamp(value) {
+  const [t, i] = value.split(':').map(part => parseInt(part, 10));
+  return new Timestamp({ t, i });
+}
+
+/**
+ * Compare two "seconds:increment" strings
+ */
+function compareOplogTimestamps(a, b) {
+  const [aSeconds, aIncrement] = a.split(':').map(Number);
+  const [bSeconds, bIncrement] = b.split(':').map(Number);
+  return aSeconds !== bSeconds ? aSeconds - bSeconds : aIncrement - bIncrement;
+}
+
+/**
+ * Get the folder holding a target's oplog segment files
+ */
+function getOplogDir(targetName) {
+  return path.join(getTargetBackupPath(targetName), OPLOG_DIR_NAME);
+}
+
+/**
+ * Build the oplog query for one database. Transactions are logged as
+ * applyOps commands on admin.$cmd, so those are matched by their content.
+ */
+function buildOplogFilter(target, startAfter) {
+  const namespace = new RegExp(`^${target.databaseName.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\.`);
+  
+  return {
+    ts: { $gt: startAfter },
+    $or: [
+      { ns: namespace },
+      { ns: 'admin.$cmd', 'o.applyOps.ns': namespace }
+    ]
+  };
+}
+
+/**
+ * Read the newest oplog timestamp of a target. Resolves null for servers
+ * without an oplog.
+ */
+async function getLatestOplogTimestamp(target) {
+  const client = new MongoClient(target.connectionString);
+  
+  try {
+    await client.connect();
+    const entry = await client.db('local').collection('oplog.rs')
+      .find({}, { sort: { $natural: -1 }, limit: 1, projection: { ts: 1 } })
+      .next();
+    return entry ? formatOplogTimestamp(entry.ts) : null;
+  } finally {
+    await client.close();
+  }
+}
+
+/**
+ * List the oplog segments of a target, oldest first
+ */
+function getOplogSegments(targetName) {
+  return new Promise((resolve, reject) => {
+    db.all(`SELECT * FROM oplog_segments WHERE target = ? ORDER BY id`, [targetName], (err, rows) => {
+      if (err) {
+        reject(err);
+      } else {
+        resolve(rows);
+      }
+    });
+  });
+}
+
+/**
+ * Update the bookkeeping columns of an oplog segment
+ */
+function updateOplogSegment(segmentId, fields) {
+  const columns = Object.keys(fields);
+  
+  return new Promise((resolve, reject) => {
+    db.run(`UPDATE oplog_segments SET ${columns.map(column => `${column} = ?`).join(', ')} WHERE id = ?`, 
+           [...columns.map(column => fields[column]), segmentId], (err) => {
+      if (err) {
+        reject(err);
+      } else {
+        resolve();
+      }
+    });
+  });
+}
+
+/**
+ * Remove an oplog segment row and its file
+ */
+function deleteOplogSegment(segment) {
+  fs.rmSync(path.join(getOplogDir(segment.target), segment.file_name), { force: true });
+  
+  return new Promise((resolve, reject) => {
+    db.run(`DELETE FROM oplog_segments WHERE id = ?`, [segment.id], (err) => {
+      if (err) {
+        reject(err);
+      } else {
+        resolve();
+      }
+    });
+  });
+}
+
+/**
+ * Stream the raw BSON entries of an oplog segment file
+ */
+async function* readOplogSegmentEntries(segment) {
+  const filePath = path.join(getOplogDir(segment.target), segment.file_name);
+  const source = segment.encryption_key_id ? Readable.from(decryptFileStream(filePath)) : fs.createReadStream(filePath);
+  const reader = createStreamReader(source);
+  
+  try {
+    for (;;) {
+      const lengthPrefix = await reader.read(4);
+      if (lengthPrefix === null) {
+        return;
+      }
+      
+      const length = lengthPrefix.readInt32LE(0);
+      if (length < 5) {
+        throw new Error(`Invalid BSON document length ${length} in ${segment.file_name}`);
+      }
+      
+      const body = await reader.read(length - 4);
+      if (body === null) {
+        throw new Error(`${segment.file_name} ends in the middle of an entry`);
+      }
+      yield Buffer.concat([lengthPrefix, body]);
+    }
+  } finally {
+    source.destroy();
+  }
+}
+
+/**
+ * Start a new segment file for a target. Segments are tied to the most
+ * recent backup that recorded its oplog position.
+ */
+async function openOplogSegment(target, state, startAfter) {
+  const baseBackup = await new Promise((resolve, reject) => {
+    db.get(`SELECT id FROM backups 
+            WHERE target = ? AND status = 'success' AND oplog_end_ts IS NOT NULL 
+            ORDER BY id DESC LIMIT 1`, [target.name], (err, row) => {
+      if (err) {
+        reject(err);
+      } else {
+        resolve(row);
+      }
+    });
+  });
+  
+  const openedAt = moment().tz(TIMEZONE);
+  const fileName = `oplog_${openedAt.format('YYYYMMDD_HHmmss')}_${startAfter.t}_${startAfter.i}.bson`;
+  fs.mkdirSync(getOplogDir(target.name), { recursive: true });
+  fs.writeFileSync(path.join(getOplogDir(target.name), fileName), '');
+  
+  const segmentId = await new Promise((resolve, reject) => {
+    db.run(`INSERT INTO oplog_segments 
+      (target, base_backup_id, file_name, start_after_ts, last_ts, covered_until, entries_count, size_bytes, created_at)
+      VALUES (?, ?, ?, ?, ?, ?, 0, 0, ?)`, [
+      target.name,
+      baseBackup ? baseBackup.id : null,
+      fileName,
+      formatOplogTimestamp(startAfter),
+      formatOplogTimestamp(startAfter),
+      openedAt.format(),
+      openedAt.format()
+    ], function(err) {
+      if (err) {
+        reject(err);
+      } else {
+        resolve(this.lastID);
+      }
+    });
+  });
+  
+  state.segment = {
+    id: segmentId,
+    target: target.name,
+    fileName,
+    lastTs: formatOplogTimestamp(startAfter),
+    entries: 0,
+    size: 0,
+    openedAt: Date.now(),
+    savedAt: Date.now()
+  };
+  state.rotateRequested = false;
+}
+
+/**
+ * Append a batch of raw oplog entries to the open segment. Capture counts as
+ * caught up to the time of the newest entry written.
+ */
+async function appendOplogEntries(state, entries) {
+  const data = Buffer.concat(entries);
+  fs.appendFileSync(path.join(getOplogDir(state.segment.target), state.segment.fileName), data);
+  
+  const lastTs = BSON.deserialize(entries[entries.length - 1]).ts;
+  state.segment.lastTs = formatOplogTimestamp(lastTs);
+  state.segment.entries += entries.length;
+  state.segment.size += data.length;
+  state.lastEntryAt = Date.now();
+  state.lastCaughtUpAt = Math.max(state.lastCaughtUpAt || 0, lastTs.t * 1000);
+  
+  await updateOplogSegment(state.segment.id, {
+    last_ts: state.segment.lastTs,
+    covered_until: moment(state.lastCaughtUpAt).tz(TIMEZONE).format(),
+    entries_count: state.segment.entries,
+    size_bytes: state.segment.size
+  });
+}
+
+/**
+ * Record that the cursor had nothing more to return, so everything up to now
+ * has been captured. Written at most every few seconds so an idle database
+ * does not cause constant updates.
+ */
+async function markOplogCaughtUp(state) {
+  state.lastCaughtUpAt = Date.now();
+  
+  if (Date.now() - state.segment.savedAt >= 10000) {
+    state.segment.savedAt = Date.now();
+    await updateOplogSegment(state.segment.id, { covered_until: moment().tz(TIMEZONE).format() });
+  }
+}
+
+/**
+ * Finish a segment, encrypting it when encryption is configured. An empty
+ * segment that is directly followed by a new one carries no information
+ * and is dropped instead.
+ */
+async function closeOplogSegment(segment, { dropIfEmpty = false } = {}) {
+  if (dropIfEmpty && segment.entries_count === 0) {
+    await deleteOplogSegment(segment);
+    return;
+  }
+  
+  const fields = { closed_at: moment().tz(TIMEZONE).format() };
+  
+  if (encryptionKeys && !segment.encryption_key_id) {
+    const filePath = path.join(getOplogDir(segment.target), segment.file_name);
+    await encryptFile(filePath, filePath + ENCRYPTED_FILE_SUFFIX);
+    await fs.promises.rm(filePath);
+    fields.file_name = segment.file_name + ENCRYPTED_FILE_SUFFIX;
+    fields.encryption_key_id = encryptionKeys.activeKeyId;
+    fields.size_bytes = fs.statSync(filePath + ENCRYPTED_FILE_SUFFIX).size;
+  }
+  
+  await updateOplogSegment(segment.id, fields);
+}
+
+/**
+ * Close the segment the capture loop is writing to
+ */
+async function closeCurrentOplogSegment(state, options = {}) {
+  const segment = state.segment;
+  state.segment = null;
+  
+  await updateOplogSegment(segment.id, { covered_until: moment().tz(TIMEZONE).format() });
+  await closeOplogSegment({
+    id: segment.id,
+    target: segment.target,
+    file_name: segment.fileName,
+    entries_count: segment.entries,
+    encryption_key_id: null
+  }, options);
+}
+
+/**
+ * Close segments left open by a previous run. The file may hold entries the
+ * row does not know about yet, or end in a half-written entry after a crash,
+ * so it is scanned and trimmed to the last complete entry first.
+ */
+async function recoverOpenOplogSegments(target) {
+  const segments = (await getOplogSegments(target.name)).filter(segment => !segment.closed_at);
+  
+  for (const segment of segments) {
+    const filePath = path.join(getOplogDir(target.name), segment.file_name);
+    let entries = 0;
+    let size = 0;
+    let lastTs = segment.last_ts;
+    
+    if (fs.existsSync(filePath)) {
+      try {
+        for await (const entry of readOplogSegmentEntries(segment)) {
+          entries++;
+          size += entry.length;
+          lastTs = formatOplogTimestamp(BSON.deserialize(entry).ts);
+        }
+      } catch (error) {
+        logger.warn(`Oplog segment ${segment.file_name} was cut short, keeping its first ${entries} entries: ${error.message}`);
+        fs.truncateSync(filePath, size);
+      }
+    }
+    
+    await updateOplogSegment(segment.id, { last_ts: lastTs, entries_count: entries, size_bytes: size });
+    await closeOplogSegment({ ...segment, entries_count: entries });
+  }
+}
+
+/**
+ * Report a broken or lagging oplog stream
+ */
+function reportOplogProblem(target, state, status, message) {
+  state.status = status;
+  state.error = message;
+  logger.error(`Oplog capture for ${target.name} is ${status}: ${message}`);
+  notify('oplog', {
+    target: target.name,
+    database: target.databaseName,
+    status,
+    error: message
+  });
+}
+
+/**
+ * Decide where tailing continues. Normally that is right after the last
+ * captured entry; if the oplog has already rolled past it, the gap is reported
+ * and capture restarts at the newest entry.
+ */
+async function findOplogResumePoint(target, state, oplog) {
+  const segments = await getOplogSegments(target.name);
+  const lastSegment = segments[segments.length - 1];
+  const newest = await oplog.find({}, { sort: { $natural: -1 }, limit: 1, projection: { ts: 1 } }).next();
+  
+  if (!newest) {
+    throw new Error('The oplog is empty');
+  }
+  
+  if (!lastSegment) {
+    return newest.ts;
+  }
+  
+  const oldest = await oplog.find({}, { sort: { $natural: 1 }, limit: 1, projection: { ts: 1 } }).next();
+  if (compareOplogTimestamps(formatOplogTimestamp(oldest.ts), lastSegment.last_ts) <= 0) {
+    return parseOplogTimestamp(lastSegment.last_ts);
+  }
+  
+  reportOplogProblem(target, state, 'broken', 
+    `The oplog no longer reaches back to ${lastSegment.last_ts}, changes after that point were lost. ` +
+    'Point-in-time recovery is available again from the next backup.');
+  return newest.ts;
+}
+
+/**
+ * Tail the oplog of a replica set target into segment files until the
+ * process exits. Errors are reported and the loop reconnects after a pause.
+ */
+async function runOplogCapture(target) {
+  const state = oplogCaptureStates.get(target.name);
+  
+  for (;;) {
+    let client = null;
+    
+    try {
+      client = new MongoClient(target.connectionString);
+      await client.connect();
+      
+      const hello = await client.db('admin').command({ hello: 1 });
+      if (!hello.setName) {
+        state.status = 'unsupported';
+        state.error = 'Oplog capture needs a replica set member, this server is standalone';
+        logger.warn(`Oplog capture for ${target.name} disabled: ${state.error}`);
+        return;
+      }
+      
+      const oplog = client.db('local').collection('oplog.rs');
+      const startAfter = await findOplogResumePoint(target, state, oplog);
+      await openOplogSegment(target, state, startAfter);
+      
+      const openCursor = () => oplog.find(buildOplogFilter(target, parseOplogTimestamp(state.segment.lastTs)), {
+        tailable: true,
+        awaitData: true,
+        maxAwaitTimeMS: 1000,
+        raw: true
+      });
+      let cursor = openCursor();
+      
+      state.status = 'running';
+      state.error = null;
+      state.lastCaughtUpAt = Date.now();
+      logger.info(`Capturing oplog of ${target.name} after ${formatOplogTimestamp(startAfter)}`);
+      
+      let batch = [];
+      for (;;) {
+        const entry = await cursor.tryNext();
+        if (entry) {
+          batch.push(entry);
+          // Write whenever the batch the server sent has been used up
+          if (batch.length < 1000 && cursor.bufferedCount() > 0) {
+            continue;
+          }
+        }
+        
+        if (batch.length > 0) {
+          await appendOplogEntries(state, batch);
+          batch = [];
+        }
+        
+        if (!entry) {
+          await markOplogCaughtUp(state);
+          
+          // The server may close a tailable cursor that has nothing to return
+          if (cursor.closed) {
+            await new Promise(resolve => setTimeout(resolve, 1000));
+            cursor = openCursor();
+          }
+        }
+        
+        if (state.rotateRequested || Date.now() - state.segment.openedAt >= OPLOG_SEGMENT_MINUTES * 60 * 1000) {
+          const lastTs = parseOplogTimestamp(state.segment.lastTs);
+          await closeCurrentOplogSegment(state, { dropIfEmpty: true });
+          await openOplogSegment(target, state, lastTs);
+        }
+      }
+    } catch (error) {
+      reportOplogProblem(target, state, 'error', redactConnectionString(error.message));
+    } finally {
+      if (state.segment) {
+        await closeCurrentOplogSegment(state).catch(error => {
+          logger.error(`Could not close oplog segment of ${target.name}: ${error.message}`);
+        });
+      }
+      if (client) {
+        await client.close().catch(() => {});
+      }
+    }
+    
+    await new Promise(resolve => setTimeout(resolve, OPLOG_RETRY_SECONDS * 1000));
+  }
+}
+
+/**
+ * Start oplog capture for every reachable target that has it enabled
+ */
+async function startOplogCapture(targets) {
+  const captureTargets = targets.filter(target => target.oplogCapture);
+  
+  for (const target of captureTargets) {
+    oplogCaptureStates.set(target.name, {
+      status: 'starting',
+      error: null,
+      segment: null,
+      lastCaughtUpAt: null,
+      lastEntryAt: null,
+      rotateRequested: false
+    });
+    
+    await recoverOpenOplogSegments(target);
+    runOplogCapture(target);
+  }
+  
+  if (captureTargets.length > 0 && !oplogLagJob) {
+    oplogLagJob = cron.schedule('* * * * *', checkOplogLag);
+  }
+}
+
+/**
+ * Alert when a capture loop has not caught up with the oplog for
+ * OPLOG_LAG_ALERT_SECONDS, and clear the state once it has
+ */
+function checkOplogLag() {
+  for (const [targetName, state] of oplogCaptureStates) {
+    if (!['running', 'lagging'].includes(state.status) || !state.lastCaughtUpAt) {
+      continue;
+    }
+    
+    const lagSeconds = Math.round((Date.now() - state.lastCaughtUpAt) / 1000);
+    if (state.status === 'running' && lagSeconds > OPLOG_LAG_ALERT_SECONDS) {
+      reportOplogProblem(getTarget(targetName), state, 'lagging', `Oplog capture is ${lagSeconds} seconds behind`);
+    } else if (state.status === 'lagging' && lagSeconds <= OPLOG_LAG_ALERT_SECONDS) {
+      state.status = 'running';
+      state.error = null;
+      logger.info(`Oplog capture for ${targetName} caught up again`);
+    }
+  }
+}
+
+/**
+ * Start a new segment once the current backup has finished, so segments
+ * line up with the backups they extend
+ */
+function requestOplogRotation(targetName) {
+  const state = oplogCaptureStates.get(targetName);
+  if (state) {
+    state.rotateRequested = true;
+  }
+}
+
+/**
+ * Find the continuous run of segments at the end of a target's capture
+ */
+async function getOplogCoverage(targetName) {
+  const segments = await getOplogSegments(targetName);
+  if (segments.length === 0) {
+    return null;
+  }
+  
+  let first = segments.length - 1;
+  while (first > 0 && segments[first].start_after_ts === segments[first - 1].last_ts) {
+    first--;
+  }
+  
+  return {
+    segments: segments.slice(first),
+    from: segments[first].start_after_ts,
+    until: segments[segments.length - 1].covered_until
+  };
+}
+
+/**
+ * Get the range of times a backup can be rolled forward to, or null when the
+ * captured oplog does not continue from it
+ */
+async function getRecoveryWindow(backup) {
+  if (backup.status !== 'success' || !backup.oplog_start_ts || !backup.oplog_end_ts) {
+    return null;
+  }
+  
+  const coverage = await getOplogCoverage(backup.target);
+  if (!coverage || compareOplogTimestamps(backup.oplog_start_ts, coverage.from) < 0) {
+    return null;
+  }
+  
+  const from = moment.unix(parseOplogTimestamp(backup.oplog_end_ts).t).tz(TIMEZONE);
+  if (moment(coverage.until).isBefore(from)) {
+    return null;
+  }
+  
+  return {
+    from: from.format(),
+    until: coverage.until,
+    segments: coverage.segments.filter(segment => compareOplogTimestamps(segment.last_ts, backup.oplog_start_ts) > 0)
+  };
+}
+
+/**
+ * Summarize the oplog capture and recoverable time window of every target
+ */
+async function getOplogStatus() {
+  const results = [];
+  
+  for (const target of backupTargets) {
+    const state = oplogCaptureStates.get(target.name);
+    const segments = await getOplogSegments(target.name);
+    const coverage = await getOplogCoverage(target.name);
+    
+    // The oldest backup still on disk that the captured oplog continues from
+    let recoverableFrom = null;
+    if (coverage) {
+      const backups = await new Promise((resolve, reject) => {
+        db.all(`SELECT * FROM backups 
+                WHERE target = ? AND status = 'success' AND oplog_start_ts IS NOT NULL 
+                ORDER BY id`, [target.name], (err, rows) => {
+          if (err) {
+            reject(err);
+          } else {
+            resolve(rows);
+          }
+        });
+      });
+      const base = backups.find(backup => 
+        compareOplogTimestamps(backup.oplog_start_ts, coverage.from) >= 0 && fs.existsSync(getBackupDir(backup)));
+      if (base) {
+        recoverableFrom = moment.unix(parseOplogTimestamp(base.oplog_end_ts).t).tz(TIMEZONE).format();
+      }
+    }
+    
+    results.push({
+      target: target.name,
+      enabled: !!target.oplogCapture,
+      status: state ? state.status : (target.oplogCapture ? 'stopped' : 'disabled'),
+      error: state ? state.error : null,
+      lagSeconds: state && state.lastCaughtUpAt ? Math.round((Date.now() - state.lastCaughtUpAt) / 1000) : null,
+      lastEntryAt: state && state.lastEntryAt ? moment(state.lastEntryAt).tz(TIMEZONE).format() : null,
+      recoverableFrom,
+      recoverableUntil: recoverableFrom && coverage ? coverage.until : null,
+      segments: segments.length,
+      sizeBytes: segments.reduce((sum, segment) => sum + (segment.size_bytes || 0), 0)
+    });
+  }
+  
+  return results;
+}
+
+/**
+ * Write the oplog entries needed to roll a backup forward to untilSeconds
+ * into a single oplog.bson for mongorestore --oplogReplay
+ */
+async function writeOplogReplayFile(backup, untilSeconds, destinationPath) {
+  const window = await getRecoveryWindow(backup);
+  if (!window) {
+    throw new Error('The captured oplog no longer continues from this backup');
+  }
+  
+  const result = { entries: 0, lastTs: null };
+  const filters = backup.collection_filters ? JSON.parse(backup.collection_filters) : null;
+  
+  // Entries from before the dump started are skipped, as are repeats left by a crash
+  // and changes to collections the backup filtered out
+  async function* selectEntries() {
+    let lastWritten = backup.oplog_start_ts;
+    
+    for (const segment of window.segments) {
+      for await (const entry of readOplogSegmentEntries(segment)) {
+        const { ts, ns } = BSON.deserialize(entry);
+        if (ts.t > untilSeconds) {
+          return;
+        }
+        
+        const formatted = formatOplogTimestamp(ts);
+        if (compareOplogTimestamps(formatted, lastWritten) <= 0) {
+          continue;
+        }
+        
+        const collection = ns.startsWith(`${backup.database_name}.`) ? ns.substring(backup.database_name.length + 1) : null;
+        if (filters && collection && collection !== '$cmd' && !isCollectionSelected(collection, filters.include, filters.exclude)) {
+          continue;
+        }
+        
+        lastWritten = formatted;
+        result.entries++;
+        result.lastTs = formatted;
+        yield entry;
+      }
+    }
+  }
+  
+  fs.mkdirSync(path.dirname(destinationPath), { recursive: true });
+  await pipeline(Readable.from(selectEntries()), fs.createWriteStream(destinationPath));
+  return result;
+}
+
+/**
+ * Delete segments that only hold changes from before the oldest backup
+ * still on disk
+ */
+async function pruneOplogSegments(target) {
+  const backups = await new Promise((resolve, reject) => {
+    db.all(`SELECT * FROM backups 
+            WHERE target = ? AND status = 'success' AND oplog_start_ts IS NOT NULL`, [target.name], (err, rows) => {
+      if (err) {
+        reject(err);
+      } else {
+        resolve(rows);
+      }
+    });
+  });
+  
+  const startPoints = backups
+    .filter(backup => fs.existsSync(getBackupDir(backup)))
+    .map(backup => backup.oplog_start_ts)
+    .sort(compareOplogTimestamps);
+  if (startPoints.length === 0) {
+    return;
+  }
+  
+  for (const segment of await getOplogSegments(target.name)) {
+    if (segment.closed_at && compareOplogTimestamps(segment.last_ts, startPoints[0]) <= 0) {
+      await deleteOplogSegment(segment);
+      logger.info(`Deleted old oplog segment ${segment.file_name}`);
+    }
+  }
+}
+
+/**
+ * Check a backup schedule cron expression
+ */
+function isValidSchedule(expression) {
+  const fields = expression.trim().split(/\s+/);
+  if (!expression.startsWith('@') && (fields.length < 5 || fields.length > 6)) {
+    return false;
+  }
+  
+  try {
+    CronExpressionParser.parse(expression);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Turn the older DAILY_BACKUP_INTERVAL_MINUTES into a cron expression. Only
+ * intervals that divide an hour or a day evenly can be expressed.
+ */
+function intervalToCron(minutes) {
+  if (minutes < 60 && 60 % minutes === 0) {
+    return `*/${minutes} * * * *`;
+  }
+  
+  if (minutes === 60 || minutes === 24 * 60) {
+    return minutes === 60 ? '0 * * * *' : '0 0 * * *';
+  }
+  
+  if (minutes % 60 === 0 && 24 % (minutes / 60) === 0) {
+    return `0 */${minutes / 60} * * *`;
+  }
+  
+  throw new Error(`a daily interval of ${minutes} minutes does not fit evenly into an hour or a day, set a cron expression in schedules.daily instead`);
+}
+
+/**
+ * Spread the older NUMBER_OF_WEEKLY_BACKUPS evenly over the days of the week,
+ * or over the hours of each day when there are more than seven
+ */
+function weeklyBackupsToCron(count) {
+  if (count <= 0) {
+    return 'off';
+  }
+  
+  if (count <= 7) {
+    const days = [...new Set(Array.from({ length: count }, (_, index) => Math.floor(index * 7 / count)))];
+    return count === 7 ? '0 0 * * *' : `0 0 * * ${days.join(',')}`;
+  }
+  
+  const perDay = Math.min(24, Math.round(count / 7));
+  if (perDay === 24) {
+    return '0 * * * *';
+  }
+  const hours = [...new Set(Array.from({ length: perDay }, (_, index) => Math.floor(index * 24 / perDay)))];
+  return `0 ${hours.join(',')} * * *`;
+}
+
+/**
+ * Parse a blackout window like "Mon-Fri 09:00-17:00" or "22:00-02:00". Days
+ * are optional; a window that ends before it starts runs past midnight.
+ */
+function parseBlackoutWindow(window) {
+  const match = typeof window === 'string' && window.trim().match(/^(?:([A-Za-z,-]+)\s+)?(\d{1,2}):(\d{2})-(\d{1,2}):(\d{2})$/);
+  if (!match) {
+    throw new Error(`"${window}" is not a window like "Mon-Fri 09:00-17:00"`);
+  }
+  
+  const [, daySpec, startHour, startMinute, endHour, endMinute] = match;
+  const start = parseInt(startHour, 10) * 60 + parseInt(startMinute, 10);
+  const end = parseInt(endHour, 10) * 60 + parseInt(endMinute, 10);
+  if (start >= 24 * 60 || end > 24 * 60 || parseInt(startMinute, 10) > 59 || parseInt(endMinute, 10) > 59) {
+    throw new Error(`"${window}" has an invalid time`);
+  }
+  
+  const days = new Set();
+  (daySpec || 'sun-sat').toLowerCase().split(',').forEach(part => {
+    const [first, last = first] = part.split('-').map(day => WEEKDAY_NAMES.indexOf(day.slice(0, 3)));
+    if (first === -1 || last === -1) {
+      throw new Error(`"${window}" has an unknown day. Use ${WEEKDAY_NAMES.map(day => day[0].toUpperCase() + day.slice(1)).join(', ')}`);
+    }
+    for (let day = first; ; day = (day + 1) % 7) {
+      days.add(day);
+      if (day === last) {
+        break;
+      }
+    }
+  });
+  
+  return { days, start, end: end > start ? end : end + 24 * 60 };
+}
+
+/**
+ * Return the end of the blackout window that contains the given time, or null
+ */
+function findBlackoutEnd(blackoutWindows, time) {
+  const local = moment(time).tz(TIMEZONE);
+  let windowEnd = null;
+  
+  blackoutWindows.map(parseBlackoutWindow).forEach(({ days, start, end }) => {
+    // A window that runs past midnight may have started the day before
+    [0, 1].forEach(daysBack => {
+      const day = local.clone().startOf('day').subtract(daysBack, 'days');
+      if (!days.has(day.day())) {
+        return;
+      }
+      
+      // Wall clock times, so windows keep their hours on daylight saving days
+      const atMinute = minutes => day.clone().add(Math.floor(minutes / (24 * 60)), 'days')
+        .set({ hour: Math.floor(minutes % (24 * 60) / 60), minute: minutes % 60 });
+      const windowStart = atMinute(start);
+      const candidateEnd = atMinute(end);
+      if (!local.isBefore(windowStart) && local.isBefore(candidateEnd) && (!windowEnd || candidateEnd.isAfter(windowEnd))) {
+        windowEnd = candidateEnd;
+      }
+    });
+  });
+  
+  return windowEnd;
+}
+
+/**
+ * Postpone a time that falls into a blackout window until the window ends
+ */
+function skipBlackoutWindows(target, time) {
+  let next = moment(time).tz(TIMEZONE);
+  
+  // Windows that touch each other are skipped one after another
+  for (let attempt = 0; attempt < 50; attempt++) {
+    const windowEnd = findBlackoutEnd(target.blackoutWindows, next);
+    if (!windowEnd) {
+      return next;
+    }
+    next = windowEnd;
+  }
+  
+  throw new Error('blackout windows leave no time to run backups');
+}
+
+/**
+ * Get the next planned run of one of a target's schedules after the given
+ * time, in TIMEZONE and outside its blackout windows. Jitter is not included.
+ */
+function getNextScheduledRun(target, backupType, after) {
+  const interval = CronExpressionParser.parse(target.schedules[backupType], { currentDate: after, tz: TIMEZONE });
+  return skipBlackoutWindows(target, interval.next().toDate());
+}
+
+/**
+ * List the next planned runs of all schedules of a target
+ */
+function getUpcomingRuns(target, count) {
+  const runs = [];
+  
+  BACKUP_TYPES.filter(type => target.schedules[type] !== 'off').forEach(type => {
+    let after = new Date();
+    for (let index = 0; index < count; index++) {
+      const runAt = getNextScheduledRun(target, type, after);
+      runs.push({ type, runAt });
+      after = runAt.toDate();
+    }
+  });
+  
+  return runs.sort((a, b) => a.runAt.diff(b.runAt)).slice(0, count);
+}
+
+/**
+ * Queue a backup now, or when the current blackout window of the target ends
+ */
+function queueBackupOutsideBlackout(target, backupType) {
+  const windowEnd = findBlackoutEnd(target.blackoutWindows, new Date());
+  
+  if (!windowEnd) {
+    return queueBackup(target, backupType);
+  }
+  
+  logger.info(`${backupType} backup of ${target.name} postponed until the blackout window ends at ${windowEnd.format()}`);
+  setTimeout(() => queueBackup(target, backupType), Math.min(windowEnd.diff(moment()), MAX_TIMER_DELAY_MS));
+  return Promise.resolve();
+}
+
+/**
+ * Run one schedule of a target. Each run is planned from the cron expression,
+ * moved out of blackout windows and delayed by a random jitter. The returned
+ * job can be stopped like a node-cron task.
+ */
+function scheduleBackupJob(target, backupType) {
+  const job = {
+    timer: null,
+    plannedAt: null,
+    runAt: null,
+    stop() {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  };
+  
+  const wait = () => {
+    // Timers cannot wait longer than about 24 days, so long waits are split up
+    job.timer = setTimeout(() => {
+      if (moment().isBefore(job.runAt)) {
+        wait();
+        return;
+      }
+      
+      queueBackup(target, backupType);
+      plan(job.plannedAt.toDate());
+    }, Math.min(Math.max(job.runAt.diff(moment()), 0), MAX_TIMER_DELAY_MS));
+  };
+  
+  const plan = after => {
+    job.plannedAt = getNextScheduledRun(target, backupType, after);
+    const jitter = Math.floor(Math.random() * (target.jitterSeconds + 1));
+    job.runAt = skipBlackoutWindows(target, job.plannedAt.clone().add(jitter, 'seconds'));
+    wait();
+  };
+  
+  plan(new Date());
+  return job;
+}
+
+/**
+ * Schedule the daily/weekly/monthly/yearly jobs of a target. The jobs are
+ * added to scheduledJobs so a configuration reload can stop them.
+ */
+function scheduleTargetBackups(target) {
+  BACKUP_TYPES.filter(type => target.schedules[type] !== 'off').forEach(type => {
+    const job = scheduleBackupJob(target, type);
+    logger.info(`Scheduling ${type} backups of ${target.name} with cron expression: ${target.schedules[type]} (next run ${job.runAt.format()})`);
+    scheduledJobs.push(job);
+  });
+}
+
+/**
+ * Replace all scheduled jobs with the backup jobs of the given targets and the
+ * verification and stale target checks of the current settings
+ */
+function scheduleJobs(targets) {
+  scheduledJobs.splice(0).forEach(job => job.stop());
+  
+  targets.forEach(target => scheduleTargetBackups(target));
+  
+  // Schedule verification of stored backups
+  if (settings.verificationCron !== 'off') {
+    logger.info(`Scheduling backup verification with cron expression: ${settings.verificationCron}`);
+    scheduledJobs.push(cron.schedule(settings.verificationCron, async () => {
+      await verifyStoredBackups();
+    }));
+  }
+  
+  // Schedule restore drills
+  if (settings.restoreDrillCron !== 'off') {
+    if (settings.restoreDrillConnectionString) {
+      logger.info(`Scheduling restore drills with cron expression: ${settings.restoreDrillCron}`);
+      scheduledJobs.push(cron.schedule(settings.restoreDrillCron, async () => {
+        await runRestoreDrills(targets);
+      }));
+    } else {
+      logger.warn('RESTORE_DRILL_CRON is set but RESTORE_DRILL_CONNECTION_STRING is not, restore drills are not scheduled');
+    }
+  }
+  
+  // Watch for targets without a recent successful backup
+  if (settings.notifyNoSuccessHours > 0 && notificationChannels.length > 0) {
+    logger.info(`Alerting when a target has no successful backup for ${settings.notifyNoSuccessHours} hours`);
+    scheduledJobs.push(cron.schedule('*/15 * * * *', () => {
+      checkStaleTargets().catch(error => {
+        logger.error(`Error checking for stale targets: ${error.message}`);
+      });
+    }));
+  }
+}
+
+/**
+ * Start backing up a target that could not be reached so far
+ */
+async function activateTarget(target) {
+  activeTargets.push(target);
+  scheduleJobs(activeTargets);
+  
+  if (!oplogCaptureStates.has(target.name)) {
+    await startOplogCapture([target]);
+  }
+  
+  checkAndCreateMissingBackups(target);
+  queueBackupOutsideBlackout(target, 'daily');
+}
+
+/**
+ * With STARTUP_CONNECTION_MODE=retry, keep testing the targets that could not
+ * be reached, backing off like failed dumps, and schedule each one as soon as
+ * it answers. A reload replaces the pending retry with its own.
+ */
+function scheduleConnectionRetry(targetNames, attempt = 1) {
+  clearTimeout(connectionRetryTimer);
+  connectionRetryTimer = null;
+  
+  if (targetNames.length === 0 || settings.startupConnectionMode !== 'retry') {
+    return;
+  }
+  
+  const delay = getRetryDelay(attempt);
+  logger.info(`Retrying the connection to ${targetNames.join(', ')} in ${delay} seconds (attempt ${attempt})`);
+  
+  const timer = setTimeout(() => {
+    // Runs in line with reloads so both never rebuild the jobs at the same time
+    configurationReload = configurationReload.then(async () => {
+      if (connectionRetryTimer !== timer) {
+        return;
+      }
+      
+      const unreachableNames = [];
+      for (const targetName of targetNames) {
+        const target = getTarget(targetName);
+        if (!target || activeTargets.includes(target)) {
+          continue;
+        }
+        
+        if (await testConnection(target)) {
+          logger.info(`Target ${targetName} can be reached now, scheduling its backups`);
+          await activateTarget(target);
+        } else {
+          unreachableNames.push(targetName);
+        }
+      }
+      
+      scheduleConnectionRetry(unreachableNames, attempt + 1);
+    }).catch(error => {
+      logger.error(`Error retrying the connection: ${error.message}`);
+    });
+  }, delay * 1000);
+  connectionRetryTimer = timer;
+}
+
+/**
+ * Initialize and start the backup scheduler
+ */
+async function startBackupScheduler() {
+  logger.info(`Starting MongoDB Backup Service`);
+  backupTargets.forEach(target => {
+    logger.info(`Target ${target.name}: ${redactConnectionString(target.connectionString)} (daily schedule: ${target.schedules.daily}${target.oplogCapture ? ', oplog capture' : ''})`);
+  });
+  logger.info(`Backup Path: ${BACKUP_PATH}`);
+  storageBackends.forEach(backend => {
+    logger.info(`Storage backend ${backend.name}: ${backend.type}`);
+  });
+  if (encryptionKeys) {
+    logger.info(`Encryption: AES-256-GCM with key ${encryptionKeys.activeKeyId} (${encryptionKeys.keys.size} key(s) available)`);
+  }
+  notificationChannels.forEach(channel => {
+    logger.info(`Notification channel ${channel.name}: ${channel.type} (${channel.events.join(', ')})`);
+  });
+  
+  // Test connections first. Unreachable targets are skipped so one broken
+  // cluster does not stop the others from being backed up.
+  const reachableTargets = [];
+  const unreachableNames = [];
+  for (const target of backupTargets) {
+    if (await testConnection(target)) {
+      reachableTargets.push(target);
+    } else {
+      logger.error(`Cannot connect to target ${target.name}, its backups will not be scheduled${settings.startupConnectionMode === 'retry' ? ' until it can be reached' : ''}`);
+      unreachableNames.push(target.name);
+    }
+  }
+  
+  if (reachableTargets.length === 0 && settings.startupConnectionMode === 'exit') {
+    logger.error('Cannot connect to MongoDB. Exiting...');
+    process.exit(1);
+  }
+  
+  activeTargets = reachableTargets;
+  scheduleJobs(activeTargets);
+  scheduleConnectionRetry(unreachableNames);
+  
+  // Tail the oplog of targets with point-in-time recovery enabled
+  await startOplogCapture(reachableTargets);
+  
+  // Check for missing backups and create them
+  logger.info('Checking for missing backups...');
+  setTimeout(() => {
+    reachableTargets.forEach(target => checkAndCreateMissingBackups(target));
+  }, 5000); // Wait 5 seconds for database to be ready
+  
+  // Perform initial daily backups
+  logger.info('Performing initial daily backups...');
+  await Promise.all(reachableTargets.map(target => queueBackupOutsideBlackout(target, 'daily')));
+  
+  logger.info('Backup scheduler started successfully');
+}
+
+/**
+ * Load the configuration again and rebuild the scheduled jobs. Settings that
+ * only apply on startup keep their current value, and an invalid configuration
+ * leaves the running one untouched.
+ */
+function reloadConfiguration(reason) {
+  configurationReload = configurationReload.then(async () => {
+    logger.info(`Reloading configuration (${reason})`);
     
-    const weeklyResult = await new Promise((resolve) => {
-      db.get(`SELECT COUNT(*) as count FROM backups 
-              WHERE type = 'weekly' 
-              AND status = 'success' 
-              AND datetime(timestamp) >= datetime(?)`, 
-              [weekStart.format()], (err, row) => {
-        resolve(!err && row.count === 0);
+    let loaded, targets, backends, channels;
+    try {
+      loaded = loadSettings();
+      
+      SETTING_DEFINITIONS.filter(definition => !definition.reload).forEach(definition => {
+        if (!isDeepStrictEqual(loaded.values[definition.name], settings[definition.name])) {
+          logger.warn(`${definition.env} changed, restart the service to apply it`);
+          loaded.values[definition.name] = settings[definition.name];
+          loaded.sources[definition.name] = settingSources[definition.name];
+        }
+      });
+      
+      targets = loadBackupTargets(loaded.values);
+      backends = loadStorageBackends(loaded.values);
+      channels = loadNotificationChannels(loaded.values);
+    } catch (error) {
+      logger.error(`Configuration not reloaded, keeping the current one: ${error.message}`);
+      return;
+    }
+    
+    // Capture loops are only started on startup
+    targets.forEach(target => {
+      if (target.oplogCapture !== oplogCaptureStates.has(target.name)) {
+        logger.warn(`Oplog capture of target ${target.name} changed, restart the service to apply it`);
+        target.oplogCapture = oplogCaptureStates.has(target.name);
+      }
+    });
+    
+    const previousTargetNames = new Set(backupTargets.map(target => target.name));
+    settings = loaded.values;
+    settingSources = loaded.sources;
+    backupTargets = targets;
+    storageBackends = backends;
+    notificationChannels = channels;
+    
+    const reachableTargets = [];
+    const unreachableNames = [];
+    for (const target of backupTargets) {
+      if (await testConnection(target)) {
+        reachableTargets.push(target);
+      } else {
+        logger.error(`Cannot connect to target ${target.name}, its backups will not be scheduled${settings.startupConnectionMode === 'retry' ? ' until it can be reached' : ''}`);
+        unreachableNames.push(target.name);
+      }
+    }
+    
+    activeTargets = reachableTargets;
+    scheduleJobs(activeTargets);
+    scheduleConnectionRetry(unreachableNames);
+    
+    const addedTargets = reachableTargets.filter(target => !previousTargetNames.has(target.name));
+    addedTargets.forEach(target => queueBackupOutsideBlackout(target, 'daily'));
+    
+    logger.info(`Configuration reloaded: ${backupTargets.length} target(s), ${storageBackends.length} storage backend(s), ${notificationChannels.length} notification channel(s)`);
+  }).catch(error => {
+    logger.error(`Error reloading configuration: ${error.message}`);
+  });
+  
+  return configurationReload;
+}
+
+// Handle graceful shutdown
+process.on('SIGINT', () => {
+  logger.info('Received SIGINT, shutting down gracefully...');
+  process.exit(0);
+});
+
+process.on('SIGTERM', () => {
+  logger.info('Received SIGTERM, shutting down gracefully...');
+  process.exit(0);
+});
+
+// Never leave the backup lock behind, whatever ends the process
+process.on('exit', () => {
+  releaseBackupLock();
+});
+
+/**
+ * Hash a password with scrypt and a random salt
+ */
+function hashPassword(password) {
+  return new Promise((resolve, reject) => {
+    const salt = crypto.randomBytes(16);
+    crypto.scrypt(password, salt, 64, (err, hash) => {
+      if (err) {
+        reject(err);
+      } else {
+        resolve(`scrypt:${salt.toString('hex')}:${hash.toString('hex')}`);
+      }
+    });
+  });
+}
+
+/**
+ * Check a password against a hash produced by hashPassword
+ */
+function verifyPassword(password, storedHash) {
+  return new Promise((resolve, reject) => {
+    const [scheme, salt, hash] = String(storedHash).split(':');
+    if (scheme !== 'scrypt' || !salt || !hash) {
+      resolve(false);
+      return;
+    }
+    
+    crypto.scrypt(password, Buffer.from(salt, 'hex'), 64, (err, derived) => {
+      if (err) {
+        reject(err);
+      } else {
+        resolve(crypto.timingSafeEqual(derived, Buffer.from(hash, 'hex')));
+      }
+    });
+  });
+}
+
+/**
+ * Hash a session token before it is stored, so a leaked database cannot be
+ * used to take over sessions
+ */
+function hashSessionToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Check whether a role includes the permissions of another role
+ */
+function hasRole(role, requiredRole) {
+  return USER_ROLES.indexOf(role) >= USER_ROLES.indexOf(requiredRole);
+}
+
+/**
+ * Validate a new username, password or role and throw a 400 error if it is invalid
+ */
+function validateUserInput({ username, password, role }, isNew) {
+  const fail = (message) => {
+    const error = new Error(message);
+    error.statusCode = 400;
+    throw error;
+  };
+  
+  if (isNew && (typeof username !== 'string' || !/^[A-Za-z0-9_.@-]{1,64}$/.test(username))) {
+    fail('Username must be 1-64 letters, digits or _.@-');
+  }
+  if ((isNew || password !== undefined) && (typeof password !== 'string' || password.length < 8)) {
+    fail('Password must be at least 8 characters');
+  }
+  if ((isNew || role !== undefined) && !USER_ROLES.includes(role)) {
+    fail(`Role must be one of ${USER_ROLES.join(', ')}`);
+  }
+}
+
+/**
+ * Get a local user by username
+ */
+function getUserByUsername(username) {
+  return new Promise((resolve, reject) => {
+    db.get(`SELECT * FROM users WHERE username = ?`, [username], (err, row) => {
+      if (err) {
+        reject(err);
+      } else {
+        resolve(row);
+      }
+    });
+  });
+}
+
+/**
+ * List local users without their password hashes
+ */
+function listUsers() {
+  return new Promise((resolve, reject) => {
+    db.all(`SELECT id, username, role, created_at, last_login_at FROM users ORDER BY username`, [], (err, rows) => {
+      if (err) {
+        reject(err);
+      } else {
+        resolve(rows);
+      }
+    });
+  });
+}
+
+/**
+ * Create a local user
+ */
+async function createUser({ username, password, role }) {
+  validateUserInput({ username, password, role }, true);
+  
+  if (await getUserByUsername(username)) {
+    const error = new Error(`User "${username}" already exists`);
+    error.statusCode = 409;
+    throw error;
+  }
+  
+  const passwordHash = await hashPassword(password);
+  
+  return new Promise((resolve, reject) => {
+    db.run(`INSERT INTO users (username, password_hash, role, created_at) VALUES (?, ?, ?, ?)`, 
+           [username, passwordHash, role, moment().tz(TIMEZONE).format()], function(err) {
+      if (err) {
+        reject(err);
+      } else {
+        resolve(this.lastID);
+      }
+    });
+  });
+}
+
+/**
+ * Change the password and/or role of a local user. Changing the password
+ * signs the user out everywhere.
+ */
+async function updateUser(userId, { password, role }) {
+  validateUserInput({ password, role }, false);
+  
+  const updates = [];
+  const params = [];
+  
+  if (password !== undefined) {
+    updates.push('password_hash = ?');
+    params.push(await hashPassword(password));
+  }
+  if (role !== undefined) {
+    updates.push('role = ?');
+    params.push(role);
+  }
+  
+  if (updates.length === 0) {
+    const error = new Error('Nothing to update');
+    error.statusCode = 400;
+    throw error;
+  }
+  
+  const changes = await new Promise((resolve, reject) => {
+    db.run(`UPDATE users SET ${updates.join(', ')} WHERE id = ?`, [...params, userId], function(err) {
+      if (err) {
+        reject(err);
+      } else {
+        resolve(this.changes);
+      }
+    });
+  });
+  
+  if (changes === 0) {
+    const error = new Error('User not found');
+    error.statusCode = 404;
+    throw error;
+  }
+  
+  if (password !== undefined) {
+    await deleteUserSessions(userId);
+  }
+}
+
+/**
+ * Delete a local user and their sessions
+ */
+async function deleteUser(userId) {
+  const changes = await new Promise((resolve, reject) => {
+    db.run(`DELETE FROM users WHERE id = ?`, [userId], function(err) {
+      if (err) {
+        reject(err);
+      } else {
+        resolve(this.changes);
+      }
+    });
+  });
+  
+  if (changes === 0) {
+    const error = new Error('User not found');
+    error.statusCode = 404;
+    throw error;
+  }
+  
+  await deleteUserSessions(userId);
+}
+
+/**
+ * Create the first admin from AUTH_ADMIN_USERNAME/AUTH_ADMIN_PASSWORD when
+ * local authentication is enabled and no users exist yet
+ */
+async function ensureInitialAdmin() {
+  const users = await listUsers();
+  if (users.length > 0) {
+    return;
+  }
+  
+  if (!AUTH_ADMIN_PASSWORD) {
+    throw new Error('AUTH_MODE=local needs AUTH_ADMIN_PASSWORD to create the first admin user');
+  }
+  
+  await createUser({ username: AUTH_ADMIN_USERNAME, password: AUTH_ADMIN_PASSWORD, role: 'admin' });
+  logger.info(`Created admin user ${AUTH_ADMIN_USERNAME}`);
+}
+
+/**
+ * Start a session for a user and return its token and CSRF token
+ */
+async function createSession(user) {
+  const token = crypto.randomBytes(32).toString('hex');
+  const csrfToken = crypto.randomBytes(32).toString('hex');
+  const now = moment();
+  
+  await new Promise((resolve, reject) => {
+    db.serialize(() => {
+      db.run(`DELETE FROM sessions WHERE expires_at < ?`, [now.toISOString()]);
+      db.run(`UPDATE users SET last_login_at = ? WHERE id = ?`, [moment().tz(TIMEZONE).format(), user.id]);
+      db.run(`INSERT INTO sessions (token_hash, user_id, csrf_token, created_at, expires_at) VALUES (?, ?, ?, ?, ?)`, 
+             [hashSessionToken(token), user.id, csrfToken, now.toISOString(), now.clone().add(AUTH_SESSION_HOURS, 'hours').toISOString()], (err) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve();
+        }
       });
     });
-    
-    if (weeklyResult) {
-      logger.info('No weekly backup found for this week, creating one now...');
-      await performBackup('weekly');
+  });
+  
+  return { token, csrfToken };
+}
+
+/**
+ * Look up the user of a live session
+ */
+function getSession(token) {
+  return new Promise((resolve, reject) => {
+    db.get(`SELECT sessions.csrf_token, users.id as user_id, users.username, users.role 
+            FROM sessions JOIN users ON users.id = sessions.user_id 
+            WHERE sessions.token_hash = ? AND sessions.expires_at > ?`, 
+            [hashSessionToken(token), new Date().toISOString()], (err, row) => {
+      if (err) {
+        reject(err);
+      } else {
+        resolve(row);
+      }
+    });
+  });
+}
+
+/**
+ * End a session
+ */
+function deleteSession(token) {
+  return new Promise((resolve, reject) => {
+    db.run(`DELETE FROM sessions WHERE token_hash = ?`, [hashSessionToken(token)], (err) => {
+      if (err) {
+        reject(err);
+      } else {
+        resolve();
+      }
+    });
+  });
+}
+
+/**
+ * End all sessions of a user
+ */
+function deleteUserSessions(userId) {
+  return new Promise((resolve, reject) => {
+    db.run(`DELETE FROM sessions WHERE user_id = ?`, [userId], (err) => {
+      if (err) {
+        reject(err);
+      } else {
+        resolve();
+      }
+    });
+  });
+}
+
+/**
+ * Append an entry to the audit trail. Failures are logged but never block the request.
+ */
+function recordAudit(req, action, statusCode, details = null) {
+  db.run(`INSERT INTO audit_log (timestamp, username, role, action, method, path, status_code, ip, details) 
+          VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`, [
+    moment().tz(TIMEZONE).format(),
+    req.user ? req.user.username : null,
+    req.user ? req.user.role : null,
+    action,
+    req.method,
+    req.originalUrl.split('?')[0],
+    statusCode,
+    req.ip,
+    details
+  ], (err) => {
+    if (err) {
+      logger.error(`Could not write audit log entry: ${err.message}`);
+    }
+  });
+}
+
+/**
+ * Parse the Cookie header into an object
+ */
+function parseCookies(header) {
+  const cookies = {};
+  
+  (header || '').split(';').forEach(part => {
+    const index = part.indexOf('=');
+    if (index > 0) {
+      const name = part.slice(0, index).trim();
+      try {
+        cookies[name] = decodeURIComponent(part.slice(index + 1).trim());
+      } catch (error) {
+        // Ignore cookies that are not ours and not URI-encoded
+      }
     }
+  });
+  
+  return cookies;
+}
+
+/**
+ * Parse an IP address or CIDR range like 10.0.0.0/8. Returns null when invalid.
+ */
+function parseAddressRange(entry) {
+  const [address, prefix, ...rest] = entry.split('/');
+  const family = net.isIP(address);
+  const maxPrefix = family === 4 ? 32 : 128;
+  if (!family || rest.length > 0 || (prefix !== undefined && !/^\d+$/.test(prefix)) || Number(prefix ?? maxPrefix) > maxPrefix) {
+    return null;
   }
   
-  // Check for missing monthly backup
-  if (NUMBER_OF_MONTHLY_BACKUPS > 0) {
-    const monthStart = now.clone().startOf('month');
-    
-    const monthlyResult = await new Promise((resolve) => {
-      db.get(`SELECT COUNT(*) as count FROM backups 
-              WHERE type = 'monthly' 
-              AND status = 'success' 
-              AND datetime(timestamp) >= datetime(?)`, 
-              [monthStart.format()], (err, row) => {
-        resolve(!err && row.count === 0);
-      });
-    });
-    
-    if (monthlyResult) {
-      logger.info('No monthly backup found for this month, creating one now...');
-      await performBackup('monthly');
+  return { address, prefix: Number(prefix ?? maxPrefix), type: family === 4 ? 'ipv4' : 'ipv6' };
+}
+
+/**
+ * In proxy mode, only the proxy may set the user headers: the request must
+ * carry AUTH_PROXY_SECRET and come from AUTH_PROXY_TRUSTED_IPS, whichever of
+ * them is configured
+ */
+function isFromTrustedProxy(req) {
+  if (AUTH_PROXY_SECRET) {
+    const digest = value => crypto.createHash('sha256').update(value).digest();
+    if (!crypto.timingSafeEqual(digest(req.get(AUTH_PROXY_SECRET_HEADER) || ''), digest(AUTH_PROXY_SECRET))) {
+      return false;
     }
   }
   
-  // Check for missing yearly backup
-  if (NUMBER_OF_YEARLY_BACKUPS > 0) {
-    const yearStart = now.clone().startOf('year');
-    
-    const yearlyResult = await new Promise((resolve) => {
-      db.get(`SELECT COUNT(*) as count FROM backups 
-              WHERE type = 'yearly' 
-              AND status = 'success' 
-              AND datetime(timestamp) >= datetime(?)`, 
-              [yearStart.format()], (err, row) => {
-        resolve(!err && row.count === 0);
-      });
-    });
-    
-    if (yearlyResult) {
-      logger.info('No yearly backup found for this year, creating one now...');
-      await performBackup('yearly');
+  if (trustedProxyAddresses) {
+    const address = (req.socket.remoteAddress || '').replace(/^::ffff:/, '');
+    if (!trustedProxyAddresses.check(address, net.isIPv4(address) ? 'ipv4' : 'ipv6')) {
+      return false;
     }
   }
+  
+  return true;
 }
 
 /**
- * Initialize and start the backup scheduler
+ * Attach the signed-in user to API requests, or answer 401. Login and the
+ * session probe are reachable without a session.
  */
-async function startBackupScheduler() {
-  logger.info(`Starting MongoDB Backup Service`);
-  logger.info(`Connection: ${MONGO_CONNECTION_STRING.replace(/\/\/.*@/, '//[REDACTED]@')}`);
-  logger.info(`Daily Interval: ${DAILY_BACKUP_INTERVAL_MINUTES} minutes`);
-  logger.info(`Backup Path: ${BACKUP_PATH}`);
+async function authenticateRequest(req, res, next) {
+  if (AUTH_MODE === 'none') {
+    req.user = { username: 'anonymous', role: 'admin' };
+    next();
+    return;
+  }
   
-  // Test connection first
-  const connectionOk = await testConnection();
-  if (!connectionOk) {
-    logger.error('Cannot connect to MongoDB. Exiting...');
-    process.exit(1);
+  const cookies = parseCookies(req.headers.cookie);
+  
+  if (AUTH_MODE === 'proxy') {
+    const username = req.get(AUTH_PROXY_USER_HEADER);
+    if (username && !isFromTrustedProxy(req)) {
+      recordAudit(req, 'proxy_rejected', 401, `untrusted ${AUTH_PROXY_USER_HEADER} header for ${username}`);
+      res.locals.audited = true;
+    } else if (username) {
+      const role = req.get(AUTH_PROXY_ROLE_HEADER);
+      req.user = { username, role: USER_ROLES.includes(role) ? role : AUTH_PROXY_DEFAULT_ROLE };
+      
+      // The proxy owns the session, so CSRF uses a double-submit cookie
+      req.csrfToken = cookies[CSRF_COOKIE_NAME];
+      if (!req.csrfToken) {
+        req.csrfToken = crypto.randomBytes(32).toString('hex');
+        res.cookie(CSRF_COOKIE_NAME, req.csrfToken, { sameSite: 'strict', secure: AUTH_COOKIE_SECURE, path: '/' });
+      }
+    }
+  } else if (cookies[SESSION_COOKIE_NAME]) {
+    try {
+      const session = await getSession(cookies[SESSION_COOKIE_NAME]);
+      if (session) {
+        req.user = { id: session.user_id, username: session.username, role: session.role };
+        req.csrfToken = session.csrf_token;
+        req.sessionToken = cookies[SESSION_COOKIE_NAME];
+      }
+    } catch (error) {
+      next(error);
+      return;
+    }
   }
   
-  // Create cron expression for daily backups
-  const dailyCronExpression = `*/${DAILY_BACKUP_INTERVAL_MINUTES} * * * *`;
+  if (!req.user && req.path !== '/login') {
+    res.status(401).json({ error: 'Authentication required', authMode: AUTH_MODE });
+    return;
+  }
   
-  logger.info(`Scheduling daily backups with cron expression: ${dailyCronExpression}`);
+  next();
+}
+
+/**
+ * Reject mutating API requests without the CSRF token of the session
+ */
+function verifyCsrfToken(req, res, next) {
+  if (AUTH_MODE === 'none' || ['GET', 'HEAD', 'OPTIONS'].includes(req.method) || req.path === '/login') {
+    next();
+    return;
+  }
   
-  // Schedule daily backup job
-  cron.schedule(dailyCronExpression, async () => {
-    await performBackup('daily');
-  });
+  const provided = Buffer.from(req.get('X-CSRF-Token') || '');
+  const expected = Buffer.from(req.csrfToken || '');
   
-  // Schedule weekly backups (if enabled)
-  if (NUMBER_OF_WEEKLY_BACKUPS > 0) {
-    const backupsPerDay = NUMBER_OF_WEEKLY_BACKUPS / 7;
-    const hoursPerBackup = 24 / backupsPerDay;
-    const weeklyMinutes = Math.round(hoursPerBackup * 60);
-    const weeklyCronExpression = `0 */${Math.round(hoursPerBackup)} * * *`;
-    
-    logger.info(`Scheduling ${NUMBER_OF_WEEKLY_BACKUPS} weekly backups with cron: ${weeklyCronExpression}`);
-    cron.schedule(weeklyCronExpression, async () => {
-      await performBackup('weekly');
-    });
+  if (expected.length === 0 || provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
+    recordAudit(req, 'csrf_rejected', 403);
+    res.locals.audited = true;
+    res.status(403).json({ error: 'Invalid or missing CSRF token' });
+    return;
   }
   
-  // Schedule monthly backups (1st of each month at midnight)
-  if (NUMBER_OF_MONTHLY_BACKUPS > 0) {
-    logger.info('Scheduling monthly backups on 1st of each month at midnight');
-    cron.schedule('0 0 1 * *', async () => {
-      await performBackup('monthly');
+  next();
+}
+
+/**
+ * Record every mutating API request and every download in the audit trail
+ */
+function auditRequest(req, res, next) {
+  // req.path is relative to the /api mount only until the request is handled
+  const routePath = req.path;
+  
+  if (req.method !== 'GET' || routePath.startsWith('/download/')) {
+    res.on('finish', () => {
+      // Login, logout and rejected requests write their own entries
+      if (routePath !== '/login' && routePath !== '/logout' && !res.locals.audited) {
+        recordAudit(req, req.method === 'GET' ? 'download' : 'request', res.statusCode);
+      }
     });
   }
+  next();
+}
+
+/**
+ * Only let users with at least the given role through
+ */
+function requireRole(role) {
+  return (req, res, next) => {
+    if (!req.user || !hasRole(req.user.role, role)) {
+      recordAudit(req, 'access_denied', 403, `requires ${role}`);
+      res.locals.audited = true;
+      res.status(403).json({ error: `This action requires the ${role} role` });
+      return;
+    }
+    next();
+  };
+}
+
+/**
+ * Escape a Prometheus label value
+ */
+function escapeMetricLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+/**
+ * Render one metric family in the Prometheus text exposition format
+ */
+function formatMetric(name, type, help, samples) {
+  const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`];
+  
+  samples.forEach(sample => {
+    const labels = Object.entries(sample.labels || {})
+      .map(([key, value]) => `${key}="${escapeMetricLabel(value)}"`)
+      .join(',');
+    lines.push(`${name}${labels ? `{${labels}}` : ''} ${sample.value}`);
+  });
   
-  // Schedule yearly backups (January 1st at midnight)
-  if (NUMBER_OF_YEARLY_BACKUPS > 0) {
-    logger.info('Scheduling yearly backups on January 1st at midnight');
-    cron.schedule('0 0 1 1 *', async () => {
-      await performBackup('yearly');
+  return lines.join('\n');
+}
+
+/**
+ * Build the /metrics output from the backups table and the live backup state
+ */
+async function collectMetrics() {
+  const query = (sql) => new Promise((resolve, reject) => {
+    db.all(sql, [], (err, rows) => {
+      if (err) {
+        reject(err);
+      } else {
+        resolve(rows);
+      }
     });
-  }
+  });
   
-  // Check for missing backups and create them
-  logger.info('Checking for missing backups...');
-  setTimeout(() => {
-    checkAndCreateMissingBackups();
-  }, 5000); // Wait 5 seconds for database to be ready
+  const counts = await query(`SELECT target, type, 
+                                SUM(CASE WHEN status IN ('success', 'pruned') THEN 1 ELSE 0 END) as successes, 
+                                SUM(CASE WHEN status = 'failed' THEN 1 ELSE 0 END) as failures 
+                              FROM backups 
+                              GROUP BY target, type`);
+  const lastSuccesses = await query(`SELECT target, type, timestamp, duration_seconds, backup_size_bytes 
+                                     FROM backups 
+                                     WHERE id IN (SELECT MAX(id) FROM backups WHERE status IN ('success', 'pruned') GROUP BY target, type)`);
   
-  // Perform initial daily backup
-  logger.info('Performing initial daily backup...');
-  await performBackup('daily');
+  // Report every configured target/type pair, plus targets that only exist in history
+  const series = new Map();
+  const seriesFor = (target, type) => {
+    const key = `${target}:${type}`;
+    if (!series.has(key)) {
+      series.set(key, { labels: { target, type }, successes: 0, failures: 0, lastSuccess: null });
+    }
+    return series.get(key);
+  };
   
-  logger.info('Backup scheduler started successfully');
+  backupTargets.forEach(target => BACKUP_TYPES.forEach(type => seriesFor(target.name, type)));
+  counts.forEach(row => {
+    const entry = seriesFor(row.target, row.type);
+    entry.successes = row.successes;
+    entry.failures = row.failures;
+  });
+  lastSuccesses.forEach(row => {
+    seriesFor(row.target, row.type).lastSuccess = row;
+  });
+  
+  const all = Array.from(series.values());
+  const succeeded = all.filter(entry => entry.lastSuccess);
+  
+  return [
+    formatMetric('mongo_backup_last_success_timestamp_seconds', 'gauge',
+      'Unix time of the last successful backup',
+      succeeded.map(entry => ({ labels: entry.labels, value: moment(entry.lastSuccess.timestamp).unix() }))),
+    formatMetric('mongo_backup_last_duration_seconds', 'gauge',
+      'Duration of the last successful backup',
+      succeeded.map(entry => ({ labels: entry.labels, value: entry.lastSuccess.duration_seconds || 0 }))),
+    formatMetric('mongo_backup_last_size_bytes', 'gauge',
+      'Size of the last successful backup',
+      succeeded.map(entry => ({ labels: entry.labels, value: entry.lastSuccess.backup_size_bytes || 0 }))),
+    formatMetric('mongo_backup_success_total', 'counter',
+      'Number of successful backups',
+      all.map(entry => ({ labels: entry.labels, value: entry.successes }))),
+    formatMetric('mongo_backup_failure_total', 'counter',
+      'Number of failed backups',
+      all.map(entry => ({ labels: entry.labels, value: entry.failures }))),
+    formatMetric('mongo_backup_running', 'gauge',
+      'Whether a backup is currently running',
+      all.map(entry => ({
+        labels: entry.labels,
+        value: currentBackupInfo && currentBackupInfo.target === entry.labels.target && currentBackupInfo.type === entry.labels.type ? 1 : 0
+      }))),
+    formatMetric('mongo_backup_queued', 'gauge',
+      'Number of backups waiting in the queue',
+      [{ value: backupQueue.length }]),
+    formatMetric('mongo_backup_disk_usage_bytes', 'gauge',
+      'Total size of everything under BACKUP_PATH',
+      [{ value: getDirectorySize(BACKUP_PATH) }]),
+    formatMetric('mongo_backup_disk_free_bytes', 'gauge',
+      'Free space on the filesystem holding BACKUP_PATH',
+      [{ value: getDiskSpace(BACKUP_PATH).freeBytes }]),
+    formatMetric('mongo_backup_oplog_capture_up', 'gauge',
+      'Whether oplog capture is running and caught up',
+      Array.from(oplogCaptureStates, ([target, state]) => ({ labels: { target }, value: state.status === 'running' ? 1 : 0 }))),
+    formatMetric('mongo_backup_oplog_lag_seconds', 'gauge',
+      'Seconds since oplog capture last caught up with the oplog',
+      Array.from(oplogCaptureStates)
+        .filter(([, state]) => state.lastCaughtUpAt)
+        .map(([target, state]) => ({ labels: { target }, value: Math.round((Date.now() - state.lastCaughtUpAt) / 1000) })))
+  ].join('\n\n') + '\n';
 }
 
-// Handle graceful shutdown
-process.on('SIGINT', () => {
-  logger.info('Received SIGINT, shutting down gracefully...');
-  process.exit(0);
-});
-
-process.on('SIGTERM', () => {
-  logger.info('Received SIGTERM, shutting down gracefully...');
-  process.exit(0);
-});
-
 /**
  * Initialize Express web server
  */
@@ -628,22 +6857,279 @@ function initializeWebServer() {
   app.use(express.static(path.join(__dirname, 'public')));
   app.use(express.json());
   
+  // Unauthenticated health check for Docker
+  app.get('/health', (req, res) => {
+    res.json({ status: 'ok' });
+  });
+  
+  // Every API route needs a signed-in user; mutating ones also need the CSRF token
+  app.use('/api', authenticateRequest, auditRequest, verifyCsrfToken);
+  
   // Serve index.html at root path
   app.get('/', (req, res) => {
     res.sendFile(path.join(__dirname, 'public', 'index.html'));
   });
   
+  // API endpoint to search backups of every type by label and notes
+  app.get('/api/backups/search', async (req, res) => {
+    const { q, target, type, status, pinned } = req.query;
+    
+    if (type && !BACKUP_TYPES.includes(type)) {
+      res.status(400).json({ error: `Type must be one of ${BACKUP_TYPES.join(', ')}` });
+      return;
+    }
+    
+    try {
+      res.json(await searchBackups({
+        text: q ? String(q).trim() : null,
+        target,
+        type,
+        status,
+        pinned: pinned === 'true',
+        limit: Math.min(parseInt(req.query.limit) || 20, 100),
+        offset: Math.max(parseInt(req.query.offset) || 0, 0)
+      }));
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+  
   // API endpoint to get backup history
   app.get('/api/backups/:type?', (req, res) => {
     const backupType = req.params.type || 'daily';
+    const targetName = req.query.target || backupTargets[0].name;
     const limit = parseInt(req.query.limit) || 5;
     const maxLimit = Math.min(limit, 30);
     
-    db.all(`SELECT * FROM backups 
-            WHERE type = ? 
+    db.all(`SELECT backups.*, 
+              (SELECT COUNT(*) FROM backup_copies 
+               WHERE backup_copies.backup_id = backups.id AND backup_copies.status = 'success') as remote_copies, 
+              (SELECT status FROM restore_drills 
+               WHERE restore_drills.backup_id = backups.id AND restore_drills.status != 'running' 
+               ORDER BY restore_drills.id DESC LIMIT 1) as drill_status, 
+              (SELECT finished_at FROM restore_drills 
+               WHERE restore_drills.backup_id = backups.id AND restore_drills.status != 'running' 
+               ORDER BY restore_drills.id DESC LIMIT 1) as drilled_at 
+            FROM backups 
+            WHERE target = ? 
+            AND type = ? 
             ORDER BY timestamp DESC 
             LIMIT ?`, 
-            [backupType, maxLimit], (err, rows) => {
+            [targetName, backupType, maxLimit], (err, rows) => {
+      if (err) {
+        res.status(500).json({ error: err.message });
+        return;
+      }
+      res.json(rows);
+    });
+  });
+  
+  // API endpoint to get backup statistics
+  app.get('/api/stats/:type?', (req, res) => {
+    const backupType = req.params.type || 'daily';
+    const target = getTarget(req.query.target || backupTargets[0].name);
+    
+    if (!target) {
+      res.status(404).json({ error: 'Target not found' });
+      return;
+    }
+    
+    db.all(`SELECT 
+              COUNT(*) as total_backups,
+              SUM(CASE WHEN status = 'success' THEN 1 ELSE 0 END) as successful_backups,
+              SUM(CASE WHEN status = 'failed' THEN 1 ELSE 0 END) as failed_backups,
+              AVG(CASE WHEN status = 'success' THEN duration_seconds ELSE NULL END) as avg_duration,
+              SUM(CASE WHEN status = 'success' THEN backup_size_bytes ELSE 0 END) as total_size
+            FROM backups 
+            WHERE target = ? 
+            AND type = ?`, 
+            [target.name, backupType], (err, rows) => {
+      if (err) {
+        res.status(500).json({ error: err.message });
+        return;
+      }
+      
+      const stats = rows[0];
+      let maxInfo = {};
+      
+      if (backupType === 'daily') {
+        maxInfo = {
+          max_backups: target.maxDailyBackups,
+          max_type: 'backups'
+        };
+      } else if (backupType === 'weekly') {
+        maxInfo = {
+          max_backups: target.maxAgeOfWeeklyBackups,
+          max_type: 'weeks'
+        };
+      } else if (backupType === 'monthly') {
+        maxInfo = {
+          max_backups: target.maxAgeOfMonthlyBackups,
+          max_type: 'months'
+        };
+      } else if (backupType === 'yearly') {
+        maxInfo = {
+          max_backups: target.maxAgeOfYearlyBackups,
+          max_type: 'years'
+        };
+      }
+      
+      db.all(`SELECT restore_drills.status, restore_drills.finished_at 
+              FROM restore_drills 
+              JOIN backups ON backups.id = restore_drills.backup_id 
+              WHERE backups.target = ? 
+              AND backups.type = ? 
+              AND restore_drills.status != 'running' 
+              ORDER BY restore_drills.id DESC`, 
+              [target.name, backupType], (drillErr, drills) => {
+        if (drillErr) {
+          res.status(500).json({ error: drillErr.message });
+          return;
+        }
+        
+        res.json({
+          total_successful_backups: stats.successful_backups || 0,
+          total_failed_backups: stats.failed_backups || 0,
+          max_backups: maxInfo.max_backups,
+          max_type: maxInfo.max_type,
+          total_available_successful_backups: stats.successful_backups || 0,
+          average_duration_seconds: Math.round(stats.avg_duration || 0),
+          total_size_mb: Math.round((stats.total_size || 0) / 1024 / 1024),
+          drills_passed: drills.filter(drill => drill.status === 'passed').length,
+          drills_failed: drills.filter(drill => drill.status !== 'passed').length,
+          last_drill_status: drills.length > 0 ? drills[0].status : null,
+          last_drill_at: drills.length > 0 ? drills[0].finished_at : null,
+          target: target.name,
+          database_name: target.databaseName
+        });
+      });
+    });
+  });
+  
+  // Prometheus metrics endpoint
+  app.get('/metrics', async (req, res) => {
+    try {
+      res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+      res.send(await collectMetrics());
+    } catch (error) {
+      res.status(500).type('text/plain').send(`# Error collecting metrics: ${error.message}\n`);
+    }
+  });
+  
+  // API endpoint to sign in with a local user
+  app.post('/api/login', async (req, res) => {
+    if (AUTH_MODE !== 'local') {
+      res.status(400).json({ error: 'Local login is not enabled' });
+      return;
+    }
+    
+    try {
+      const { username, password } = req.body || {};
+      const user = typeof username === 'string' ? await getUserByUsername(username) : null;
+      const isValid = user && typeof password === 'string' && await verifyPassword(password, user.password_hash);
+      
+      if (!isValid) {
+        recordAudit(req, 'login_failed', 401, typeof username === 'string' ? `username ${username}` : null);
+        res.status(401).json({ error: 'Invalid username or password' });
+        return;
+      }
+      
+      const session = await createSession(user);
+      res.cookie(SESSION_COOKIE_NAME, session.token, {
+        httpOnly: true,
+        sameSite: 'strict',
+        secure: AUTH_COOKIE_SECURE,
+        path: '/',
+        maxAge: AUTH_SESSION_HOURS * 60 * 60 * 1000
+      });
+      
+      req.user = { username: user.username, role: user.role };
+      recordAudit(req, 'login', 200);
+      res.json({ user: req.user, csrfToken: session.csrfToken });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+  
+  // API endpoint to sign out
+  app.post('/api/logout', async (req, res) => {
+    try {
+      if (req.sessionToken) {
+        await deleteSession(req.sessionToken);
+      }
+      res.clearCookie(SESSION_COOKIE_NAME, { path: '/' });
+      recordAudit(req, 'logout', 200);
+      res.json({ success: true });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+  
+  // API endpoint describing the signed-in user
+  app.get('/api/session', (req, res) => {
+    res.json({
+      authMode: AUTH_MODE,
+      user: { username: req.user.username, role: req.user.role },
+      csrfToken: req.csrfToken || null
+    });
+  });
+  
+  // API endpoints to manage local users
+  const requireLocalAuth = (req, res, next) => {
+    if (AUTH_MODE !== 'local') {
+      res.status(400).json({ error: 'Users are only managed here when AUTH_MODE=local' });
+      return;
+    }
+    next();
+  };
+  
+  app.get('/api/users', requireRole('admin'), requireLocalAuth, async (req, res) => {
+    try {
+      res.json(await listUsers());
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+  
+  app.post('/api/users', requireRole('admin'), requireLocalAuth, async (req, res) => {
+    try {
+      const { username, password, role } = req.body || {};
+      const userId = await createUser({ username, password, role });
+      res.status(201).json({ id: userId, username, role });
+    } catch (error) {
+      res.status(error.statusCode || 500).json({ error: error.message });
+    }
+  });
+  
+  app.patch('/api/users/:userId', requireRole('admin'), requireLocalAuth, async (req, res) => {
+    try {
+      const { password, role } = req.body || {};
+      await updateUser(req.params.userId, { password, role });
+      res.json({ success: true });
+    } catch (error) {
+      res.status(error.statusCode || 500).json({ error: error.message });
+    }
+  });
+  
+  app.delete('/api/users/:userId', requireRole('admin'), requireLocalAuth, async (req, res) => {
+    if (Number(req.params.userId) === req.user.id) {
+      res.status(400).json({ error: 'You cannot delete your own account' });
+      return;
+    }
+    
+    try {
+      await deleteUser(req.params.userId);
+      res.json({ success: true });
+    } catch (error) {
+      res.status(error.statusCode || 500).json({ error: error.message });
+    }
+  });
+  
+  // API endpoint for the access audit trail
+  app.get('/api/audit', requireRole('admin'), (req, res) => {
+    const limit = Math.min(parseInt(req.query.limit) || 100, 1000);
+    
+    db.all(`SELECT * FROM audit_log ORDER BY id DESC LIMIT ?`, [limit], (err, rows) => {
       if (err) {
         res.status(500).json({ error: err.message });
         return;
@@ -652,67 +7138,226 @@ function initializeWebServer() {
     });
   });
   
-  // API endpoint to get backup statistics
-  app.get('/api/stats/:type?', (req, res) => {
-    const backupType = req.params.type || 'daily';
+  // API endpoint to list the configured backup targets
+  app.get('/api/targets', (req, res) => {
+    res.json(backupTargets.map(target => ({
+      name: target.name,
+      database_name: target.databaseName,
+      connection: redactConnectionString(target.connectionString),
+      daily_backup_interval_minutes: target.dailyBackupIntervalMinutes,
+      schedules: target.schedules,
+      retention: target.retention
+    })));
+  });
+  
+  // API endpoint to preview the next runs of a target's schedules
+  app.get('/api/schedule', (req, res) => {
+    const target = getTarget(req.query.target || backupTargets[0].name);
+    
+    if (!target) {
+      res.status(404).json({ error: 'Target not found' });
+      return;
+    }
+    
+    res.json({
+      target: target.name,
+      timezone: TIMEZONE,
+      schedules: target.schedules,
+      blackout_windows: target.blackoutWindows,
+      jitter_seconds: target.jitterSeconds,
+      next_runs: getUpcomingRuns(target, 10).map(run => ({ type: run.type, run_at: run.runAt.format() }))
+    });
+  });
+  
+  // API endpoint to get disk usage, storage by backup type and a forecast of when the disk fills up
+  app.get('/api/storage', async (req, res) => {
+    const target = getTarget(req.query.target || backupTargets[0].name);
+    
+    if (!target) {
+      res.status(404).json({ error: 'Target not found' });
+      return;
+    }
+    
+    try {
+      res.json(await getStorageReport(target));
+    } catch (error) {
+      logger.error(`Error building storage report: ${error.message}`);
+      res.status(500).json({ error: error.message });
+    }
+  });
+  
+  // API endpoint to show the effective configuration, with secrets redacted
+  app.get('/api/config', requireRole('admin'), (req, res) => {
+    res.json({
+      config_file: CONFIG_FILE || null,
+      settings: SETTING_DEFINITIONS.map(definition => ({
+        name: definition.name,
+        env: definition.env,
+        value: redactSecrets(settings[definition.name], definition.name),
+        source: settingSources[definition.name],
+        reload: Boolean(definition.reload)
+      })),
+      targets: backupTargets.map(target => redactSecrets(target))
+    });
+  });
+  
+  // API endpoint to preview which backups a retention policy would prune, without deleting anything
+  app.post('/api/retention/preview', async (req, res) => {
+    const { target: targetName, policy = {} } = req.body || {};
+    const target = getTarget(targetName || backupTargets[0].name);
     
-    db.all(`SELECT 
-              COUNT(*) as total_backups,
-              SUM(CASE WHEN status = 'success' THEN 1 ELSE 0 END) as successful_backups,
-              SUM(CASE WHEN status = 'failed' THEN 1 ELSE 0 END) as failed_backups,
-              AVG(CASE WHEN status = 'success' THEN duration_seconds ELSE NULL END) as avg_duration,
-              SUM(CASE WHEN status = 'success' THEN backup_size_bytes ELSE 0 END) as total_size
-            FROM backups 
-            WHERE type = ?`, 
-            [backupType], (err, rows) => {
-      if (err) {
-        res.status(500).json({ error: err.message });
-        return;
-      }
-      
-      const stats = rows[0];
-      let maxInfo = {};
-      
-      if (backupType === 'daily') {
-        maxInfo = {
-          max_backups: MAX_DAILY_BACKUPS,
-          max_type: 'backups'
-        };
-      } else if (backupType === 'weekly') {
-        maxInfo = {
-          max_backups: MAX_AGE_OF_WEEKLY_BACKUPS,
-          max_type: 'weeks'
-        };
-      } else if (backupType === 'monthly') {
-        maxInfo = {
-          max_backups: MAX_AGE_OF_MONTHLY_BACKUPS,
-          max_type: 'months'
-        };
-      } else if (backupType === 'yearly') {
-        maxInfo = {
-          max_backups: MAX_AGE_OF_YEARLY_BACKUPS,
-          max_type: 'years'
-        };
-      }
+    if (!target) {
+      res.status(404).json({ error: 'Target not found' });
+      return;
+    }
+    
+    if (!policy || typeof policy !== 'object' || Array.isArray(policy)) {
+      res.status(400).json({ error: 'policy must be an object' });
+      return;
+    }
+    
+    // Rules the proposal leaves out keep their current values
+    const proposed = { ...target.retention, ...policy };
+    try {
+      validateRetentionPolicy(proposed);
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+      return;
+    }
+    
+    try {
+      const plan = await planRetention(target, proposed);
+      const summarize = backup => ({
+        id: backup.id,
+        timestamp: backup.timestamp,
+        type: backup.type,
+        folder_name: backup.folder_name,
+        label: backup.label,
+        backup_size_bytes: backup.backup_size_bytes
+      });
       
       res.json({
-        total_successful_backups: stats.successful_backups || 0,
-        total_failed_backups: stats.failed_backups || 0,
-        max_backups: maxInfo.max_backups,
-        max_type: maxInfo.max_type,
-        total_available_successful_backups: stats.successful_backups || 0,
-        average_duration_seconds: Math.round(stats.avg_duration || 0),
-        total_size_mb: Math.round((stats.total_size || 0) / 1024 / 1024),
-        database_name: extractDatabaseName(MONGO_CONNECTION_STRING)
+        target: target.name,
+        policy: proposed,
+        keep: plan.keep.map(({ backup, reasons }) => ({ ...summarize(backup), reasons })),
+        prune: plan.prune.map(summarize),
+        prune_size_bytes: plan.prune.reduce((sum, backup) => sum + (backup.backup_size_bytes || 0), 0)
       });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+  
+  // API endpoint to start an on-demand backup
+  app.post('/api/backups', requireRole('operator'), (req, res) => {
+    const { type = 'daily', target: targetName, label } = req.body || {};
+    const target = getTarget(targetName || backupTargets[0].name);
+    
+    if (!target) {
+      res.status(404).json({ error: 'Target not found' });
+      return;
+    }
+    
+    if (!BACKUP_TYPES.includes(type)) {
+      res.status(400).json({ error: `Type must be one of ${BACKUP_TYPES.join(', ')}` });
+      return;
+    }
+    
+    if (label !== undefined && label !== null && (typeof label !== 'string' || label.length > MAX_LABEL_LENGTH)) {
+      res.status(400).json({ error: `Label must be a string of at most ${MAX_LABEL_LENGTH} characters` });
+      return;
+    }
+    
+    if (isBackupQueuedOrRunning(target, type)) {
+      res.status(409).json({ error: `A ${type} backup of ${target.name} is already queued or running` });
+      return;
+    }
+    
+    queueBackup(target, type, { label: label ? label.trim() : null, requestedBy: req.user.username });
+    
+    const isStarted = currentBackupInfo && currentBackupInfo.target === target.name && currentBackupInfo.type === type;
+    res.status(202).json({
+      status: isStarted ? 'started' : 'queued',
+      target: target.name,
+      type,
+      label: label ? label.trim() : null,
+      queuePosition: isStarted ? 0 : backupQueue.length
     });
   });
   
+  // API endpoint to pin, unpin, label or annotate a backup. Unpinning makes a
+  // backup deletable, so pins need the admin role like deleting does.
+  app.patch('/api/backups/:id', requireRole('operator'), (req, res, next) => {
+    if (req.body && req.body.pinned !== undefined) {
+      requireRole('admin')(req, res, next);
+    } else {
+      next();
+    }
+  }, async (req, res) => {
+    try {
+      res.json(await annotateBackup(req.params.id, req.body || {}));
+    } catch (error) {
+      res.status(error.statusCode || 500).json({ error: error.message });
+    }
+  });
+  
+  // API endpoint to delete a backup's files and mark it as deleted
+  app.delete('/api/backups/:id', requireRole('admin'), async (req, res) => {
+    try {
+      res.json(await deleteBackup(req.params.id, req.user.username));
+    } catch (error) {
+      res.status(error.statusCode || 500).json({ error: error.message });
+    }
+  });
+  
+  // API endpoint to cancel the running backup
+  app.post('/api/backups/current/cancel', requireRole('operator'), (req, res) => {
+    try {
+      const backup = cancelCurrentBackup(req.user.username);
+      res.status(202).json({ status: backup.status, target: backup.target, type: backup.type, folderName: backup.folderName });
+    } catch (error) {
+      res.status(error.statusCode || 500).json({ error: error.message });
+    }
+  });
+  
   // API endpoint to get current backup status
   app.get('/api/current', (req, res) => {
     res.json({
       isRunning: isBackupRunning,
-      currentBackup: currentBackupInfo
+      currentBackup: currentBackupInfo,
+      queuedBackups: backupQueue.map(job => ({ target: job.target.name, type: job.type })),
+      isRestoreRunning: isRestoreRunning,
+      currentRestore: currentRestoreInfo
+    });
+  });
+  
+  // API endpoint streaming backup progress, log lines and completion as Server-Sent Events
+  app.get('/api/events', (req, res) => {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    
+    const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    
+    // Start with the running backup and its log so far
+    send('current', {
+      isRunning: isBackupRunning,
+      currentBackup: currentBackupInfo,
+      logs: currentBackupLogs.slice(-LOG_TAIL_LINES)
+    });
+    
+    const listeners = BACKUP_EVENT_NAMES.map(event => [event, data => send(event, data)]);
+    listeners.forEach(([event, listener]) => backupEvents.on(event, listener));
+    
+    // Comments keep proxies from closing an idle stream
+    const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), 25000);
+    
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      listeners.forEach(([event, listener]) => backupEvents.off(event, listener));
     });
   });
   
@@ -741,9 +7386,11 @@ function initializeWebServer() {
     });
   });
   
-  // API endpoint to download backup files
-  app.get('/api/download/:backupId', (req, res) => {
+  // API endpoint to download backup files. Encrypted backups are sent as stored
+  // unless ?decrypt=true asks for a server-side decrypted archive.
+  app.get('/api/download/:backupId', requireRole('admin'), (req, res) => {
     const backupId = req.params.backupId;
+    const decrypt = req.query.decrypt === 'true';
     
     db.get(`SELECT * FROM backups WHERE id = ?`, [backupId], (err, row) => {
       if (err) {
@@ -761,27 +7408,76 @@ function initializeWebServer() {
         return;
       }
       
-      const backupDir = path.join(BACKUP_PATH, row.type, row.folder_name);
+      const backupDir = getBackupDir(row);
       
       if (!fs.existsSync(backupDir)) {
         res.status(404).json({ error: 'Backup files not found on disk' });
         return;
       }
       
+      const isEncrypted = !!row.encryption_key_id;
+      if (isEncrypted && decrypt && !isEncryptionKeyAvailable(row.encryption_key_id)) {
+        res.status(400).json({ error: `Encryption key "${row.encryption_key_id}" is not available` });
+        return;
+      }
+      
+      // Compressed archives are already a single file, so they are sent as they are
+      if (row.format && row.format !== 'directory') {
+        const archiveName = ARCHIVE_FILE_NAMES[row.format];
+        const extension = archiveName.slice('dump'.length);
+        const storedFile = path.join(backupDir, isEncrypted ? `${archiveName}${ENCRYPTED_FILE_SUFFIX}` : archiveName);
+        const source = isEncrypted && decrypt
+          ? Readable.from(decryptFileStream(storedFile))
+          : fs.createReadStream(storedFile);
+        const fileName = isEncrypted && !decrypt
+          ? `${row.folder_name}${extension}${ENCRYPTED_FILE_SUFFIX}`
+          : `${row.folder_name}${extension}`;
+        
+        res.setHeader('Content-Type', 'application/octet-stream');
+        res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+        
+        source.on('error', (err) => {
+          logger.error(`Download error: ${err.message}`);
+          if (!res.headersSent) {
+            res.status(500).json({ error: 'Failed to read backup archive' });
+          } else {
+            res.destroy(err);
+          }
+        });
+        source.pipe(res);
+        return;
+      }
+      
       // Create a tar.gz archive of the backup directory
       const archiver = require('archiver');
       const archive = archiver('tar', { gzip: true });
+      const fileName = isEncrypted && !decrypt ? `${row.folder_name}.enc.tar.gz` : `${row.folder_name}.tar.gz`;
       
       res.setHeader('Content-Type', 'application/gzip');
-      res.setHeader('Content-Disposition', `attachment; filename="${row.folder_name}.tar.gz"`);
+      res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
       
       archive.pipe(res);
-      archive.directory(backupDir, row.folder_name);
+      
+      if (isEncrypted && decrypt) {
+        listFilesRecursive(backupDir).forEach(file => {
+          const name = file.endsWith(ENCRYPTED_FILE_SUFFIX) ? file.slice(0, -ENCRYPTED_FILE_SUFFIX.length) : file;
+          const source = file.endsWith(ENCRYPTED_FILE_SUFFIX)
+            ? Readable.from(decryptFileStream(path.join(backupDir, file)))
+            : fs.createReadStream(path.join(backupDir, file));
+          source.on('error', (err) => archive.emit('error', err));
+          archive.append(source, { name: path.join(row.folder_name, name) });
+        });
+      } else {
+        archive.directory(backupDir, row.folder_name);
+      }
       
       archive.on('error', (err) => {
         logger.error(`Archive error: ${err.message}`);
         if (!res.headersSent) {
           res.status(500).json({ error: 'Failed to create archive' });
+        } else {
+          // Do not let a failed decryption look like a complete download
+          res.destroy(err);
         }
       });
       
@@ -789,6 +7485,302 @@ function initializeWebServer() {
     });
   });
   
+  // API endpoint to re-verify a stored backup against its manifest
+  app.post('/api/verify/:backupId', requireRole('operator'), async (req, res) => {
+    try {
+      const backup = await getBackupById(req.params.backupId);
+      
+      if (!backup) {
+        res.status(404).json({ error: 'Backup not found' });
+        return;
+      }
+      
+      if (backup.status !== 'success') {
+        res.status(400).json({ error: 'Cannot verify failed backup' });
+        return;
+      }
+      
+      const result = await verifyBackup(backup);
+      res.json({
+        verification_status: result.status,
+        verification_error: result.error,
+        verified_at: result.verifiedAt
+      });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+  
+  // API endpoint to get the result of the last reconciliation of the metadata database with the disk
+  app.get('/api/reconcile', (req, res) => {
+    res.json({
+      running: isReconciliationRunning,
+      report: lastReconciliation
+    });
+  });
+  
+  // API endpoint to reconcile the metadata database with the disk, optionally repairing what it finds
+  app.post('/api/reconcile', requireRole('operator'), async (req, res) => {
+    const repair = Boolean(req.body && req.body.repair);
+    
+    // A running backup writes and prunes folders while they are being compared
+    if (repair && isBackupRunning) {
+      res.status(409).json({ error: 'Cannot repair while a backup is running' });
+      return;
+    }
+    
+    try {
+      res.json(await reconcileBackups({ repair }));
+    } catch (error) {
+      res.status(error.statusCode || 500).json({ error: error.message });
+    }
+  });
+  
+  // API endpoint to list where the copies of a backup are stored
+  app.get('/api/copies/:backupId', (req, res) => {
+    db.all(`SELECT * FROM backup_copies WHERE backup_id = ? ORDER BY id`, [req.params.backupId], (err, rows) => {
+      if (err) {
+        res.status(500).json({ error: err.message });
+        return;
+      }
+      res.json(rows);
+    });
+  });
+  
+  // API endpoint to list the collections contained in a backup
+  app.get('/api/collections/:backupId', async (req, res) => {
+    try {
+      const backup = await getBackupById(req.params.backupId);
+      
+      if (!backup) {
+        res.status(404).json({ error: 'Backup not found' });
+        return;
+      }
+      
+      res.json({
+        database_name: backup.database_name,
+        collections: await listBackupCollections(backup)
+      });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+  
+  // API endpoint for backup details with per-collection changes since the previous backup
+  app.get('/api/details/:backupId', async (req, res) => {
+    try {
+      const backup = await getBackupById(req.params.backupId);
+      
+      if (!backup) {
+        res.status(404).json({ error: 'Backup not found' });
+        return;
+      }
+      
+      const current = await getCollectionStats(backup.id);
+      const previousBackup = current.length > 0 ? await getPreviousBackup(backup) : null;
+      const previous = previousBackup ? await getCollectionStats(previousBackup.id) : [];
+      
+      const { backup_logs, ...details } = backup;
+      res.json({
+        backup: details,
+        previous_backup: previousBackup,
+        collections: compareCollectionStats(current, previous)
+      });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+  
+  // API endpoint for oplog capture status and recoverable time windows
+  app.get('/api/oplog', async (req, res) => {
+    try {
+      res.json(await getOplogStatus());
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+  
+  // API endpoint for the point-in-time range a backup can be restored to
+  app.get('/api/oplog/window/:backupId', async (req, res) => {
+    try {
+      const backup = await getBackupById(req.params.backupId);
+      
+      if (!backup) {
+        res.status(404).json({ error: 'Backup not found' });
+        return;
+      }
+      
+      const window = await getRecoveryWindow(backup);
+      res.json(window ? { available: true, from: window.from, until: window.until } : { available: false });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+  
+  // API endpoint listing the notification channels
+  app.get('/api/notifications', (req, res) => {
+    res.json({
+      channels: notificationChannels.map(channel => ({
+        name: channel.name,
+        type: channel.type,
+        events: channel.events
+      })),
+      noSuccessHours: settings.notifyNoSuccessHours,
+      rateLimitMinutes: settings.notificationRateLimitMinutes
+    });
+  });
+  
+  // API endpoint to send a test notification to one or all channels
+  app.post('/api/notifications/test', requireRole('operator'), async (req, res) => {
+    if (notificationChannels.length === 0) {
+      res.status(400).json({ error: 'No notification channels configured' });
+      return;
+    }
+    
+    try {
+      const results = await sendTestNotification(req.body && req.body.channel);
+      res.json({ results });
+    } catch (error) {
+      res.status(error.statusCode || 500).json({ error: error.message });
+    }
+  });
+  
+  // API endpoint to restore a backup with mongorestore
+  app.post('/api/restore/:backupId', requireRole('admin'), async (req, res) => {
+    const body = req.body || {};
+    
+    try {
+      const { restoreId } = await startRestore(req.params.backupId, {
+        targetUri: body.targetUri,
+        targetDatabase: body.targetDatabase,
+        collections: body.collections,
+        drop: body.drop === true,
+        pointInTime: body.pointInTime
+      });
+      
+      res.status(202).json({ restoreId });
+    } catch (error) {
+      res.status(error.statusCode || 500).json({ error: error.message });
+    }
+  });
+  
+  // API endpoint to get restore history
+  app.get('/api/restores', (req, res) => {
+    const limit = parseInt(req.query.limit) || 5;
+    const maxLimit = Math.min(limit, 30);
+    
+    db.all(`SELECT id, backup_id, started_at, finished_at, target_uri, source_database, target_database, 
+                   collections, drop_existing, status, duration_seconds, error_message 
+            FROM restores 
+            ORDER BY started_at DESC 
+            LIMIT ?`, 
+            [maxLimit], (err, rows) => {
+      if (err) {
+        res.status(500).json({ error: err.message });
+        return;
+      }
+      res.json(rows);
+    });
+  });
+  
+  // API endpoint to get restore logs
+  app.get('/api/restores/:restoreId/logs', (req, res) => {
+    db.get(`SELECT * FROM restores WHERE id = ?`, [req.params.restoreId], (err, row) => {
+      if (err) {
+        res.status(500).json({ error: err.message });
+        return;
+      }
+      
+      if (!row) {
+        res.status(404).json({ error: 'Restore not found' });
+        return;
+      }
+      
+      const logs = row.restore_logs ? row.restore_logs.split('\n') : ['No logs available for this restore'];
+      
+      res.json({
+        restore: row,
+        logs: logs
+      });
+    });
+  });
+  
+  // API endpoint to get restore drill history
+  app.get('/api/drills', (req, res) => {
+    const limit = parseInt(req.query.limit) || 10;
+    const maxLimit = Math.min(limit, 50);
+    const conditions = [];
+    const params = [];
+    
+    if (req.query.target) {
+      conditions.push('target = ?');
+      params.push(req.query.target);
+    }
+    
+    if (req.query.backup_id) {
+      conditions.push('backup_id = ?');
+      params.push(req.query.backup_id);
+    }
+    
+    db.all(`SELECT id, backup_id, target, started_at, finished_at, scratch_database, status, 
+                   duration_seconds, checks, error_message, requested_by 
+            FROM restore_drills 
+            ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''} 
+            ORDER BY id DESC 
+            LIMIT ?`, 
+            [...params, maxLimit], (err, rows) => {
+      if (err) {
+        res.status(500).json({ error: err.message });
+        return;
+      }
+      res.json(rows.map(row => ({ ...row, checks: row.checks ? JSON.parse(row.checks) : [] })));
+    });
+  });
+  
+  // API endpoint to get one restore drill with its logs
+  app.get('/api/drills/:drillId', (req, res) => {
+    db.get(`SELECT * FROM restore_drills WHERE id = ?`, [req.params.drillId], (err, row) => {
+      if (err) {
+        res.status(500).json({ error: err.message });
+        return;
+      }
+      
+      if (!row) {
+        res.status(404).json({ error: 'Restore drill not found' });
+        return;
+      }
+      
+      const { drill_logs: drillLogs, ...drill } = row;
+      
+      res.json({
+        drill: { ...drill, checks: drill.checks ? JSON.parse(drill.checks) : [] },
+        logs: drillLogs ? drillLogs.split('\n') : ['No logs available for this drill']
+      });
+    });
+  });
+  
+  // API endpoint to start a restore drill
+  app.post('/api/drills', requireRole('operator'), async (req, res) => {
+    const body = req.body || {};
+    const target = getTarget(body.target || backupTargets[0].name);
+    
+    if (!target) {
+      res.status(404).json({ error: 'Target not found' });
+      return;
+    }
+    
+    try {
+      const { drillId } = await startRestoreDrill(target, {
+        backupId: body.backupId,
+        requestedBy: req.user.username
+      });
+      
+      res.status(202).json({ drillId });
+    } catch (error) {
+      res.status(error.statusCode || 500).json({ error: error.message });
+    }
+  });
+  
   app.listen(WEB_UI_PORT, () => {
     logger.info(`Web UI server started on port ${WEB_UI_PORT}`);
   });
@@ -796,14 +7788,84 @@ function initializeWebServer() {
 
 // Start the application
 async function startApplication() {
+  if (AUTH_MODE === 'local') {
+    await ensureInitialAdmin();
+  }
+  
+  // Without either check anyone who reaches the port could claim to be an admin
+  if (AUTH_MODE === 'proxy' && !AUTH_PROXY_SECRET && !trustedProxyAddresses) {
+    throw new Error('AUTH_MODE=proxy needs AUTH_PROXY_SECRET or AUTH_PROXY_TRUSTED_IPS so that only the proxy can set the user headers');
+  }
+  
   // Start web server first so it's immediately available
   initializeWebServer();
   
+  // Runs cut short by a crash or restart. When another instance is backing up
+  // right now, its next backup or ours recovers them instead.
+  if (await acquireBackupLock('recovery of interrupted backups', { wait: false })) {
+    try {
+      const recovered = await recoverInterruptedBackups();
+      if (recovered > 0) {
+        logger.warn(`Recovered ${recovered} interrupted backup(s)`);
+      }
+    } catch (error) {
+      logger.error(`Error recovering interrupted backups: ${error.message}`);
+    } finally {
+      releaseBackupLock();
+    }
+  }
+  
+  // Catch up with folders that were deleted, left behind or copied in while the service was down
+  if (settings.reconcileOnStartup !== 'off') {
+    await reconcileBackups({ repair: settings.reconcileOnStartup === 'repair' }).catch(error => {
+      logger.error(`Error during reconciliation: ${error.message}`);
+    });
+  }
+  
   // Then start backup scheduler (which includes initial backups)
   await startBackupScheduler();
+  
+  process.on('SIGHUP', () => {
+    reloadConfiguration('received SIGHUP');
+  });
+  
+  // Reload the configuration when the file changes
+  if (CONFIG_FILE) {
+    fs.watchFile(CONFIG_FILE, { interval: 2000 }, (current, previous) => {
+      if (current.mtimeMs !== previous.mtimeMs) {
+        reloadConfiguration('configuration file changed');
+      }
+    });
+  }
 }
 
-startApplication().catch((error) => {
-  logger.error(`Failed to start application: ${error.message}`);
-  process.exit(1);
-});
+// The CLI requires this file for its functions and must not start the service
+if (require.main === module) {
+  startApplication().catch((error) => {
+    logger.error(`Failed to start application: ${error.message}`);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  BACKUP_TYPES,
+  BACKUP_PATH,
+  db,
+  logger,
+  settings,
+  backupTargets,
+  backupEvents,
+  getTarget,
+  getBackupById,
+  getCollectionStats,
+  searchBackups,
+  performBackup,
+  startRestore,
+  verifyBackup,
+  planRetention,
+  pruneBackup,
+  acquireBackupLock,
+  releaseBackupLock,
+  readBackupLock,
+  describeBackupLock
+};
@@ -0,0 +1,414 @@
+#!/usr/bin/env node
+const { parseArgs } = require('util');
+const fs = require('fs');
+
+const USAGE = `Usage: mongo-backup <command> [options]
+
+Commands:
+  list                 List backups, newest first
+  run                  Run a backup now
+  restore <backupId>   Restore a backup
+  verify [backupId...] Check backups against their SHA256SUMS manifest
+  prune                Prune the backups the retention policy no longer keeps
+  export-metadata      Export the metadata database as JSON
+
+Options:
+  --json               Print JSON instead of a table
+  -h, --help           Show this help
+
+list:     --target <name> --type <type> --status <status> --search <text> --pinned --limit <n> --offset <n>
+run:      --target <name> --type <type> --label <text> --wait
+restore:  --uri <connectionString> --database <name> --collections <a,b> --drop --point-in-time <iso date>
+verify:   --target <name>
+prune:    --target <name> --dry-run --wait
+export-metadata: --output <file>
+
+Uses the same configuration and metadata database as the service. Backups and
+prunes take the backup lock; without --wait they fail when another process
+holds it.`;
+
+// Tables copied by export-metadata. Users, sessions and the audit log stay out.
+const METADATA_TABLES = ['backups', 'backup_collections', 'backup_copies', 'restores', 'restore_drills', 'oplog_segments'];
+
+const COMMAND_OPTIONS = {
+  list: {
+    target: { type: 'string' },
+    type: { type: 'string' },
+    status: { type: 'string' },
+    search: { type: 'string' },
+    pinned: { type: 'boolean' },
+    limit: { type: 'string', default: '20' },
+    offset: { type: 'string', default: '0' }
+  },
+  run: {
+    target: { type: 'string' },
+    type: { type: 'string', default: 'daily' },
+    label: { type: 'string' },
+    wait: { type: 'boolean' }
+  },
+  restore: {
+    uri: { type: 'string' },
+    database: { type: 'string' },
+    collections: { type: 'string' },
+    drop: { type: 'boolean' },
+    'point-in-time': { type: 'string' }
+  },
+  verify: {
+    target: { type: 'string' }
+  },
+  prune: {
+    target: { type: 'string' },
+    'dry-run': { type: 'boolean' },
+    wait: { type: 'boolean' }
+  },
+  'export-metadata': {
+    output: { type: 'string' }
+  }
+};
+
+const GLOBAL_OPTIONS = {
+  json: { type: 'boolean' },
+  help: { type: 'boolean', short: 'h' }
+};
+
+// Loaded after the arguments are parsed, so --help works without a configuration
+let service;
+
+/**
+ * Stop the command with a message and exit code
+ */
+function fail(message, exitCode = 1) {
+  const error = new Error(message);
+  error.exitCode = exitCode;
+  throw error;
+}
+
+/**
+ * Print rows as an aligned text table
+ */
+function printTable(columns, rows) {
+  const cells = rows.map(row => columns.map(column => {
+    const value = column.value(row);
+    return value === null || value === undefined ? '-' : String(value);
+  }));
+  const widths = columns.map((column, index) => Math.max(column.header.length, ...cells.map(row => row[index].length)));
+  const formatLine = values => values.map((value, index) => value.padEnd(widths[index])).join('  ').trimEnd();
+  
+  console.log(formatLine(columns.map(column => column.header)));
+  cells.forEach(row => console.log(formatLine(row)));
+}
+
+/**
+ * Print a result as JSON or as a table
+ */
+function printResult(options, json, columns, rows) {
+  if (options.json) {
+    console.log(JSON.stringify(json, null, 2));
+  } else if (rows.length === 0) {
+    console.log('Nothing found');
+  } else {
+    printTable(columns, rows);
+  }
+}
+
+/**
+ * Format a byte count for the table output
+ */
+function formatBytes(bytes) {
+  if (!bytes) {
+    return '0 B';
+  }
+  const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+  const exponent = Math.min(Math.floor(Math.log(bytes) / Math.log(1024)), units.length - 1);
+  return `${(bytes / Math.pow(1024, exponent)).toFixed(exponent === 0 ? 0 : 1)} ${units[exponent]}`;
+}
+
+/**
+ * Backup rows without their logs, which only make the output unreadable
+ */
+function withoutLogs(backup) {
+  const { backup_logs: backupLogs, ...rest } = backup;
+  return rest;
+}
+
+const BACKUP_COLUMNS = [
+  { header: 'ID', value: backup => backup.id },
+  { header: 'TIMESTAMP', value: backup => backup.timestamp },
+  { header: 'TARGET', value: backup => backup.target },
+  { header: 'TYPE', value: backup => backup.type },
+  { header: 'STATUS', value: backup => backup.status },
+  { header: 'SIZE', value: backup => formatBytes(backup.backup_size_bytes) },
+  { header: 'DURATION', value: backup => backup.duration_seconds === null ? null : `${backup.duration_seconds}s` },
+  { header: 'LABEL', value: backup => `${backup.pinned ? '[pinned] ' : ''}${backup.label || ''}` }
+];
+
+/**
+ * Resolve --target to a configured target, defaulting to the first one
+ */
+function resolveTarget(name) {
+  const target = name ? service.getTarget(name) : service.backupTargets[0];
+  if (!target) {
+    fail(`Unknown target: ${name}`, 2);
+  }
+  return target;
+}
+
+/**
+ * Take the backup lock, or fail with the name of the process holding it
+ */
+async function lockOrFail(owner, wait) {
+  const acquired = await service.acquireBackupLock(owner, {
+    wait: !!wait,
+    onWait: message => service.logger.warn(message)
+  });
+  
+  if (!acquired) {
+    const lock = service.readBackupLock();
+    fail(`The backup lock is held by ${lock ? service.describeBackupLock(lock) : 'another process'}, retry later or pass --wait`);
+  }
+}
+
+/**
+ * mongo-backup list
+ */
+async function listCommand(options) {
+  if (options.type && !service.BACKUP_TYPES.includes(options.type)) {
+    fail(`Type must be one of ${service.BACKUP_TYPES.join(', ')}`, 2);
+  }
+  
+  const result = await service.searchBackups({
+    text: options.search || null,
+    target: options.target,
+    type: options.type,
+    status: options.status,
+    pinned: !!options.pinned,
+    limit: parseInt(options.limit) || 20,
+    offset: parseInt(options.offset) || 0
+  });
+  const backups = result.backups.map(withoutLogs);
+  
+  printResult(options, { total: result.total, backups }, BACKUP_COLUMNS, backups);
+  return 0;
+}
+
+/**
+ * mongo-backup run
+ */
+async function runCommand(options) {
+  const target = resolveTarget(options.target);
+  if (!service.BACKUP_TYPES.includes(options.type)) {
+    fail(`Type must be one of ${service.BACKUP_TYPES.join(', ')}`, 2);
+  }
+  
+  await lockOrFail(`${options.type} backup of ${target.name} from the CLI`, options.wait);
+  
+  let finished = null;
+  service.backupEvents.once('backup-finished', event => {
+    finished = event;
+  });
+  
+  try {
+    await service.performBackup(target, options.type, {
+      label: options.label ? options.label.trim() : null,
+      requestedBy: 'cli',
+      lockHeld: true
+    });
+  } finally {
+    service.releaseBackupLock();
+  }
+  
+  const backup = finished.backupId ? withoutLogs(await service.getBackupById(finished.backupId)) : null;
+  printResult(options, { ...finished, backup }, [
+    { header: 'TARGET', value: result => result.target },
+    { header: 'TYPE', value: result => result.type },
+    { header: 'STATUS', value: result => result.status },
+    { header: 'BACKUP', value: result => result.backupId },
+    { header: 'SIZE', value: () => backup ? formatBytes(backup.backup_size_bytes) : null },
+    { header: 'ERROR', value: result => result.error }
+  ], [finished]);
+  
+  return finished.status === 'success' ? 0 : 1;
+}
+
+/**
+ * mongo-backup restore <backupId>
+ */
+async function restoreCommand(options, positionals) {
+  if (positionals.length !== 1) {
+    fail('restore needs exactly one backup id', 2);
+  }
+  
+  const { finished } = await service.startRestore(positionals[0], {
+    targetUri: options.uri,
+    targetDatabase: options.database,
+    collections: options.collections ? options.collections.split(',').map(collection => collection.trim()).filter(Boolean) : [],
+    drop: !!options.drop,
+    pointInTime: options['point-in-time']
+  });
+  const result = await finished;
+  
+  printResult(options, result, [
+    { header: 'RESTORE', value: row => row.restoreId },
+    { header: 'STATUS', value: row => row.status },
+    { header: 'DURATION', value: row => `${row.duration}s` },
+    { header: 'ERROR', value: row => row.error }
+  ], [result]);
+  
+  return result.status === 'success' ? 0 : 1;
+}
+
+/**
+ * mongo-backup verify [backupId...]
+ */
+async function verifyCommand(options, positionals) {
+  let backups;
+  
+  if (positionals.length > 0) {
+    backups = [];
+    for (const backupId of positionals) {
+      const backup = await service.getBackupById(backupId);
+      if (!backup) {
+        fail(`Backup not found: ${backupId}`);
+      }
+      backups.push(backup);
+    }
+  } else {
+    ({ backups } = await service.searchBackups({ target: options.target, status: 'success', limit: -1 }));
+  }
+  
+  const results = [];
+  for (const backup of backups) {
+    const result = await service.verifyBackup(backup);
+    results.push({ id: backup.id, target: backup.target, type: backup.type, folder: backup.folder_name, ...result });
+  }
+  
+  printResult(options, results, [
+    { header: 'ID', value: result => result.id },
+    { header: 'TARGET', value: result => result.target },
+    { header: 'TYPE', value: result => result.type },
+    { header: 'FOLDER', value: result => result.folder },
+    { header: 'STATUS', value: result => result.status },
+    { header: 'ERROR', value: result => result.error }
+  ], results);
+  
+  return results.every(result => ['verified', 'no_manifest'].includes(result.status)) ? 0 : 1;
+}
+
+/**
+ * mongo-backup prune
+ */
+async function pruneCommand(options) {
+  const targets = options.target ? [resolveTarget(options.target)] : service.backupTargets;
+  const dryRun = !!options['dry-run'];
+  const results = [];
+  
+  if (!dryRun) {
+    await lockOrFail('prune from the CLI', options.wait);
+  }
+  
+  try {
+    for (const target of targets) {
+      const plan = await service.planRetention(target, target.retention);
+      
+      for (const backup of plan.prune) {
+        if (!dryRun) {
+          await service.pruneBackup(backup);
+        }
+        results.push({ ...withoutLogs(backup), action: dryRun ? 'would prune' : 'pruned' });
+      }
+    }
+  } finally {
+    service.releaseBackupLock();
+  }
+  
+  printResult(options, results, [...BACKUP_COLUMNS.slice(0, 4), { header: 'ACTION', value: backup => backup.action }], results);
+  return 0;
+}
+
+/**
+ * mongo-backup export-metadata
+ */
+async function exportMetadataCommand(options) {
+  const tables = {};
+  
+  for (const table of METADATA_TABLES) {
+    tables[table] = await new Promise((resolve, reject) => {
+      service.db.all(`SELECT * FROM ${table} ORDER BY id`, (err, rows) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(rows);
+        }
+      });
+    });
+  }
+  
+  const metadata = JSON.stringify({ exportedAt: new Date().toISOString(), backupPath: service.BACKUP_PATH, tables }, null, 2);
+  
+  if (!options.output) {
+    console.log(metadata);
+    return 0;
+  }
+  
+  fs.writeFileSync(options.output, metadata);
+  const counts = METADATA_TABLES.map(table => ({ table, rows: tables[table].length }));
+  printResult(options, { output: options.output, tables: counts }, [
+    { header: 'TABLE', value: count => count.table },
+    { header: 'ROWS', value: count => count.rows }
+  ], counts);
+  return 0;
+}
+
+const COMMANDS = {
+  list: listCommand,
+  run: runCommand,
+  restore: restoreCommand,
+  verify: verifyCommand,
+  prune: pruneCommand,
+  'export-metadata': exportMetadataCommand
+};
+
+/**
+ * Parse the command line, run the command and exit with its code
+ */
+async function main() {
+  const [command, ...args] = process.argv.slice(2);
+  
+  if (!command || command === '--help' || command === '-h' || command === 'help') {
+    console.log(USAGE);
+    return 0;
+  }
+  
+  if (!COMMANDS[command]) {
+    console.error(`Unknown command: ${command}\n\n${USAGE}`);
+    return 2;
+  }
+  
+  let parsed;
+  try {
+    parsed = parseArgs({ args, options: { ...GLOBAL_OPTIONS, ...COMMAND_OPTIONS[command] }, allowPositionals: true });
+  } catch (error) {
+    console.error(`${error.message}\n\n${USAGE}`);
+    return 2;
+  }
+  
+  if (parsed.values.help) {
+    console.log(USAGE);
+    return 0;
+  }
+  
+  service = require('./backup');
+  
+  try {
+    return await COMMANDS[command](parsed.values, parsed.positionals);
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    return error.exitCode || 1;
+  } finally {
+    await new Promise(resolve => service.db.close(() => resolve()));
+  }
+}
+
+main().then(exitCode => {
+  process.exit(exitCode);
+});